@@ -0,0 +1,109 @@
+/*
+ * Checks the collision broad phase in game.js against the plain every-pair loop it
+ * replaced, then times both on playfields with more and more sprites. (game.js only
+ * uses the broad phase from COLLISION_GRID_MIN_SPRITES up, and tries every pair itself
+ * below that, so the smallest playfield times that.)
+ *
+ *   node collision-benchmark.js
+ */
+
+const game = require("./game.js");
+
+const SPRITE_COUNTS = [25, 100, 400, 1600];
+const TIME_PER_RUN_MS = 500;
+
+/** The interact() loop from before the broad phase: every sprite against every other */
+function interactEveryPair(sprites) {
+    for (var i = sprites.length - 1; i >= 0; i--) {
+        let s1 = sprites[i];
+        for (var s2 of sprites) {
+            s1.interact(s2);
+        }
+        if (s1.finished()) {
+            sprites.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Starts a run with the given seed and scatters count lambs, broccoli, onions,
+ * and grounded and thrown knives over the playfield around the player.
+ */
+function crowdedGame(seed, count) {
+    let gamestate = game.setGamePhase(game.PHASE_RUNNING, seed);
+    gamestate.teabags = 1000;
+    gamestate.knives = 1000;
+    const types = [
+        () => new game.Lamb(),
+        () => new game.Broccoli(),
+        () => new game.Onion(),
+        () => new game.Knife(game.Knife.STATE_GROUNDED),
+        () => {
+            let knife = new game.Knife(game.Knife.STATE_GROUNDED);
+            knife.state = game.Knife.STATE_THROWN;
+            return knife;
+        },
+    ];
+    for (var i = 0; i < count; i++) {
+        let sprite = types[i % types.length]();
+        sprite.x = game.random() * (game.PLAYFIELD_WIDTH + 40) - 20;
+        sprite.y = game.random() * (game.PLAYFIELD_HEIGHT + 40) - 20;
+        gamestate.sprites.push(sprite);
+    }
+    return gamestate;
+}
+
+/** Everything interacting can change, for comparing two runs */
+function fingerprint(gamestate) {
+    let sprites = gamestate.sprites.map(s => [s.name, s.x, s.y, s.state, s.dead, s.velocity, s.invulnerable]);
+    return JSON.stringify([sprites, gamestate.score, gamestate.knives, gamestate.teabags, gamestate.rngState]);
+}
+
+function checkSameResults() {
+    for (var seed = 1; seed <= 20; seed++) {
+        for (var count of SPRITE_COUNTS) {
+            let gamestate = crowdedGame(seed, count);
+            game.interact(gamestate.sprites);
+            let broadPhase = fingerprint(gamestate);
+
+            gamestate = crowdedGame(seed, count);
+            interactEveryPair(gamestate.sprites);
+            let everyPair = fingerprint(gamestate);
+
+            if (broadPhase !== everyPair) {
+                console.log("Results differ with seed", seed, "and", count, "sprites");
+                process.exit(1);
+            }
+        }
+    }
+    console.log("Broad phase gives the same results as every pair\n");
+}
+
+/**
+ * @returns milliseconds per call of interactFn on a fresh crowded playfield
+ */
+function time(interactFn, count) {
+    let runs = 0;
+    let elapsed = 0;
+    while (elapsed < TIME_PER_RUN_MS) {
+        let gamestate = crowdedGame(runs, count);
+        let start = process.hrtime.bigint();
+        interactFn(gamestate.sprites);
+        elapsed += Number(process.hrtime.bigint() - start) / 1e6;
+        runs++;
+    }
+    return elapsed / runs;
+}
+
+checkSameResults();
+
+console.log("sprites   every pair   broad phase   speedup");
+for (var count of SPRITE_COUNTS) {
+    let everyPair = time(interactEveryPair, count);
+    let broadPhase = time(game.interact, count);
+    console.log(
+        String(count).padStart(7),
+        (everyPair.toFixed(3) + " ms").padStart(12),
+        (broadPhase.toFixed(3) + " ms").padStart(13),
+        ((everyPair / broadPhase).toFixed(1) + "x").padStart(9));
+}
@@ -36,7 +36,40 @@ const ROAD_LINE_YS = [
     (PLAYFIELD_HEIGHT / 4) * 2,
     (PLAYFIELD_HEIGHT / 4) * 3,
 ]
-const HISCORE_STORAGE_KEY = "hiScore_3"
+const HISCORE_STORAGE_KEY = "hiScore_3" // from before the leaderboard; only read to migrate it
+
+/* Leaderboard server to send scores to, or null for none. Can be overridden with ?leaderboard=URL */
+const REMOTE_LEADERBOARD_URL = null;
+
+/**
+ * Every spritesheet the game uses, with the [width, height] of one frame. Sprites
+ * and fonts are the size their sheet's frames are listed as here. loadAssets()
+ * slices each one into frameCache once, up front.
+ */
+const IMAGE_ASSETS = {
+    "Font.png": [8, 8], // first, because the loading screen is drawn with it
+    "YellowScoreDigits.png": [16, 16],
+    "TitleScreen.png": [380, 320],
+    "ClickToStart.png": [256, 16],
+    "Credits.png": [400, 16],
+    "GameOver.png": [304, 48],
+    "NewHiScore.png": [240, 16],
+    "Teapot.png": [32, 32],
+    "Lamb.png": [32, 32],
+    "Broccoli.png": [32, 32],
+    "Onion.png": [32, 32],
+    "Knife.png": [32, 32],
+    "RoadLine.png": [120, 8],
+    "Sidewalk.png": [128, 32],
+    "Teabag.png": [16, 16],
+};
+
+/**
+ * Frames sliced from each loaded spritesheet, by file name. Shared by every
+ * Drawable that uses the same image.
+ * @type {Object<string, ImageBitmap[]>}
+ */
+const frameCache = {};
 
 /**
  * A possibly animated (multi-frame) image. All frames have the same
@@ -44,78 +77,44 @@ const HISCORE_STORAGE_KEY = "hiScore_3"
  */
 class Drawable {
 
-    /** @type {ImageBitmap[]} */
-    frames = [];
+    /**
+     * The spritesheet (one of IMAGE_ASSETS) this drawable's frames come from,
+     * or null if it has none.
+     * @type {string} */
+    imgsrc = null;
+
+    /**
+     * The frames of imgsrc. Empty until it has loaded, which is never when
+     * running headless.
+     * @type {ImageBitmap[]}
+     */
+    get frames() {
+        return frameCache[this.imgsrc] || [];
+    }
 
     /** @type {boolean} */
-    ready = false;
+    get ready() {
+        return this.imgsrc in frameCache;
+    }
 
     /**
-     * The image width this drawable's nextFrame() method returns.
+     * The image width this drawable's currentFrame() method returns.
      * @type {number} */
     w;
 
     /**
-     * The image height this drawable's nextFrame() method returns.
+     * The image height this drawable's currentFrame() method returns.
      * @type {number} */
     h;
 
     /**
-     * Returns the image that should be drawn for this animation frame.
-     * Called exactly once per frame while this Drawable is on screen.
+     * Returns the image that should be drawn right now. Doesn't advance any
+     * animation, so it's fine to call this more often than the game ticks.
      */
-    nextFrame() {
+    currentFrame() {
         // implemented by subclasses
     }
 
-    /**
-     * Asynchronously initializes the give drawable by downloading the
-     * given image and slicing it into equally sized frames, left-to-right
-     * and top-to-bottom.
-     * 
-     * Initializes the following properties:
-     * * frames --> the frames sliced from the image
-     * * ready --> true
-     * * w --> width of one frame
-     * * h --> height of one frame
-     * 
-     * @param {Drawable} drawable the Drawable to initialize
-     * @param {string} imgsrc filename of the image to cut the frames from.
-     * @param {number} fw width of one frame. -1 means full source image width.
-     * @param {number} fh height of one frame. -1 means full image height.
-     * @param {Function<Drawable> | undefined} onReady function that runs when all properties are set and drawable is ready
-     */
-    static initFrames(drawable, imgsrc, fw, fh, onReady) {
-        let image = new Image();
-        image.src = imgsrc;
-        image.onload = () => {
-            if (fw === -1) {
-                fw = image.width;
-            }
-            if (fh === -1) {
-                fh = image.height;
-            }
-            drawable.w = fw;
-            drawable.h = fh;
-            
-            let frame_promises = [];
-            for (var y = 0; y < image.height; y += fh) {
-                for (var x = 0; x < image.width; x += fw) {
-                    frame_promises.push(
-                        createImageBitmap(image, x, y, fw, fh));
-                }
-            }
-
-            Promise.all(frame_promises).then((frames) => {
-                //console.log("Saving sprites as frames");
-                drawable.frames = frames;
-                drawable.ready = true;
-                if (onReady !== undefined) {
-                    onReady(drawable);
-                }
-            });
-        }
-    }
 }
 
 /**
@@ -129,27 +128,39 @@ class Sprite extends Drawable {
     x;
     y;
     hitbox;
+
+    /** Position at the start of the current tick, for interpolated rendering */
+    prevX;
+    prevY;
     
     animations;
     animation;
     animFrame;
     animFrameStep;
-    
+
     sound;
 
+    /** Speed that overrides the usual one (like roadSpeed), see setSpeed(). null for the usual. */
+    speed = null;
+
+    /** The SPAWN_TYPES entry a level script made this sprite as, if it did */
+    spawnType = null;
+
+    /** False once this sprite has finished and is on its way out of the game */
+    inPlay = true;
+
     /**
      * Creates a new Sprite with the given properties.
      * 
-     * Note that the hitbox is initialized asynchronously to the full size
-     * of the sprite's frame. If the hitbox has already been set before the frames are
-     * populated and this sprite becomes ready, it will not be overwritten by the default
-     * full-size hitbox.
-     * 
+     * The sprite's size (and its default full-size hitbox) are known as soon as
+     * the constructor returns, so game logic never has to wait for the image. The
+     * frames come from frameCache, which loadAssets() fills before the game starts.
+     * Subclasses may replace the hitbox after calling super().
+     *
      * @param {*} name The name of this sprite (for debugging)
-     * @param {*} imgsrc The location to load the image from. Image should be a column of frames (1xN).
-     * @param {*} frameheight The pixel height of 1 frame within the source image. -1 means full height
-     *  of source image (so this sprite will have only one frame) All frames have the same height and
-     *  the same width (the source image width).
+     * @param {*} imgsrc The image to take frames from (listed in IMAGE_ASSETS, which says how big
+     *  its frames are). Image should be a column of frames (1xN). null for sprites that override
+     *  draw() and have no image of their own.
      * @param {*} animations Animation specs referring to frames:
      * ```
      * {
@@ -157,39 +168,29 @@ class Sprite extends Drawable {
      *   idle: [[0, 50]]
      * }
      * ```
+     * @param {number[]} size [width, height] in pixels. Only for sprites without an image;
+     *  the rest are the size of one of their image's frames.
      */
-    constructor(name, imgsrc, frameheight, animations) {
+    constructor(name, imgsrc, animations, size = IMAGE_ASSETS[imgsrc]) {
         super();
+        const [framewidth, frameheight] = size;
         this.name = name;
         this.animations = animations;
         this.x = 0;
         this.y = 0;
+        this.w = framewidth;
+        this.h = frameheight;
+        this.hitbox = {
+            x: 0,
+            y: 0,
+            w: framewidth,
+            h: frameheight,
+        };
+
+        this.imgsrc = imgsrc;
 
         // inits this.animation, this.animFrame, this.animFrameStep
         this.setAnimation(Object.keys(animations)[0]);
-
-        // cutting from spritesheet https://developer.mozilla.org/en-US/docs/Web/API/createImageBitmap
-        Drawable.initFrames(this, imgsrc, -1, frameheight, (self) => {
-            // init hitbox unless it was already set before image loaded
-            if (!self.hitbox) {
-                self.hitbox = {
-                        x: 0,
-                        y: 0,
-                        w: self.w,
-                        h: self.h
-                };
-            }
-            self.whenReady();
-        })
-    }
-
-    /**
-     * Invoked when this.frames, this.w, and this.h have been initialized.
-     */
-    whenReady() {
-        // no op. can be overriden by subclasses.
-        // TODO could eliminate the need for this by pre-loading all images at startup
-        // like we do with the sounds.
     }
 
     setAnimation(name) {
@@ -199,10 +200,11 @@ class Sprite extends Drawable {
         this.animFrameStep = 0;
     }
 
-    nextFrame() {
-        if (!this.ready) {
-            return null;
-        }
+    /**
+     * Advances the current animation by one tick. Called exactly once per tick,
+     * whether or not this sprite's frames have loaded.
+     */
+    animate() {
         let current = this.animation[this.animFrame];
         if (this.animFrameStep >= current[1]) {
             this.animFrameStep = 0;
@@ -211,25 +213,78 @@ class Sprite extends Drawable {
                 this.animFrame = 0;
             }
         }
-        let result = this.frames[this.animation[this.animFrame][0]]
         this.animFrameStep++;
-        return result;
+    }
+
+    currentFrame() {
+        if (!this.ready) {
+            return null;
+        }
+        return this.frames[this.animation[this.animFrame][0]];
+    }
+
+    /**
+     * Draws this sprite with its top left corner at (x, y).
+     * Can be overridden by sprites that aren't just one frame of their image.
+     */
+    draw(
+        /** @type {CanvasRenderingContext2D} */ ctx,
+        /** @type {number} */ x,
+        /** @type {number} */ y) {
+        let image = this.currentFrame();
+        if (image == null) return;
+        ctx.drawImage(image, x, y);
+    }
+
+    /**
+     * Readies a sprite that has gone out of play for another go, as if it had just
+     * been constructed. Classes whose sprites get reused (see spawnSprite()) set
+     * `static pooled = true`, override this to set everything that changes over a
+     * sprite's life, take the same arguments as their constructor, and call it at
+     * the end of their constructor.
+     */
+    reset() {
+        this.x = 0;
+        this.y = 0;
+        this.prevX = undefined;
+        this.prevY = undefined;
+        this.speed = null;
+        this.spawnType = null;
+        if (this.sound && sounds[this.sound.name].loop) {
+            this.silence(); // it would go on forever otherwise
+        }
+        this.sound = null; // a one-shot from its last go (a lamb's bleat) is left to finish
+        this.inPlay = true;
+        this.setAnimation(Object.keys(this.animations)[0]);
     }
 
     move() {
         // no-op. should be implemented by subclass.
     }
 
+    /**
+     * Makes this sprite move at the given speed instead of the game-wide one.
+     * Level scripts use this for their speed overrides.
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Reacts to touching another sprite. Only called with sprites whose hitboxes
+     * might overlap this one's (see interact()), so subclasses must still check
+     * intersects() before doing anything.
+     */
     interact(other) {
         // no-op. should be implemented by subclass.
     }
 
     /**
-     * Disconnects and nulls out this.sound if there is one.
+     * Stops and nulls out this.sound if there is one.
      */
     silence() {
         if (this.sound) {
-            this.sound.disconnect();
+            stopSound(this.sound);
             this.sound = null;
         }
     }
@@ -249,9 +304,6 @@ class Sprite extends Drawable {
     }
 
     ensureFullyOnScreen() {
-        if (!this.ready) {
-            return;
-        }
         if (this.x < 0) {
             this.x = 0;
         }
@@ -267,110 +319,205 @@ class Sprite extends Drawable {
     }
 
     intersects(other) {
-        if (!this.hitbox || !other.hitbox) return;
-        let rect1 = {
-            x: this.x + this.hitbox.x,
-            y: this.y + this.hitbox.y,
-            w: this.hitbox.w,
-            h: this.hitbox.h,
-        }
-        let rect2 = {
-            x: other.x + other.hitbox.x,
-            y: other.y + other.hitbox.y,
-            w: other.hitbox.w,
-            h: other.hitbox.h,
-        }
-        return rect1.x < rect2.x + rect2.w &&
-        rect1.x + rect1.w > rect2.x &&
-        rect1.y < rect2.y + rect2.h &&
-        rect1.h + rect1.y > rect2.y
+        if (!this.hitbox || !other.hitbox) return false;
+        let x1 = this.x + this.hitbox.x;
+        let y1 = this.y + this.hitbox.y;
+        let x2 = other.x + other.hitbox.x;
+        let y2 = other.y + other.hitbox.y;
+        return x1 < x2 + other.hitbox.w &&
+            x1 + this.hitbox.w > x2 &&
+            y1 < y2 + other.hitbox.h &&
+            y1 + this.hitbox.h > y2;
     }
 }
 
+/**
+ * A bitmap font: a sheet of equally sized glyphs, plus a map from characters
+ * to the frame holding each one. Characters that aren't in the map are drawn
+ * as blank space.
+ * 
+ * Text can have several lines (separated by "\n"). The lines are lined up with
+ * each other according to `align`, and the whole block is placed relative to
+ * the x coordinate it's drawn at according to `anchor`.
+ */
 class Text extends Drawable {
-//constructor should cut sprites from sheet. not sure if we can/should share with other sprite constructor
+    static LEFT = "LEFT";
+    static CENTER = "CENTER";
+    static RIGHT = "RIGHT";
+
+    /**
+     * @type {Object<string, number>} character -> frame number
+     */
+    charMap;
+
+    /**
+     * @param {string} imgsrc the glyph sheet (listed in IMAGE_ASSETS, with the size of every
+     *  glyph; the height is also the line height). Glyphs are cut left-to-right and top-to-bottom.
+     * @param {Object<string, number>} charMap which frame to draw for each character.
+     *  See Text.sequentialCharMap().
+     */
+    constructor(imgsrc, charMap) {
+        super();
+        [this.w, this.h] = IMAGE_ASSETS[imgsrc];
+        this.charMap = charMap;
+        this.imgsrc = imgsrc;
+    }
+
+    /**
+     * Makes a charMap for a glyph sheet that holds the given characters in order.
+     */
+    static sequentialCharMap(chars) {
+        let charMap = {};
+        for (var i = 0; i < chars.length; i++) {
+            charMap[chars[i]] = i;
+        }
+        return charMap;
+    }
+
+    /**
+     * Returns the pixel width of the widest line of text.
+     */
+    measure(text) {
+        let longest = 0;
+        for (var line of ("" + text).split("\n")) {
+            longest = Math.max(longest, line.length);
+        }
+        return longest * this.w;
+    }
+
+    /**
+     * Draws text with its top edge at y.
+     * 
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string} text
+     * @param {number} x where the text block's left edge, centre or right edge goes (see anchor)
+     * @param {number} y
+     * @param {string} anchor Text.LEFT, Text.CENTER or Text.RIGHT: which part of the block lines up with x
+     * @param {string} align Text.LEFT, Text.CENTER or Text.RIGHT: how lines line up within the block
+     */
+    draw(ctx, text, x, y, anchor = Text.LEFT, align = Text.LEFT) {
+        if (!this.ready) {
+            return;
+        }
+        let blockWidth = this.measure(text);
+        let left = x - Text.offset(anchor, blockWidth);
+        for (var line of ("" + text).split("\n")) {
+            let lineX = left + Text.offset(align, blockWidth - line.length * this.w);
+            for (var i = 0; i < line.length; i++) {
+                let image = this.frames[this.charMap[line[i]]];
+                if (image) {
+                    ctx.drawImage(image, lineX, y);
+                }
+                lineX += this.w;
+            }
+            y += this.h;
+        }
+    }
+
+    /**
+     * How far left of the anchor point a thing of the given width starts.
+     */
+    static offset(anchor, width) {
+        switch (anchor) {
+            case Text.CENTER:
+                return width / 2;
+            case Text.RIGHT:
+                return width;
+            default:
+                return 0;
+        }
+    }
 }
 
+// the status bar font. The last two glyphs spell "HI".
+const scoreFont = new Text("YellowScoreDigits.png", Text.sequentialCharMap("0123456789HI"));
+
+// the font for menus and messages. Capitals only; "x" is a multiplication sign.
+const messageFont = new Text("Font.png",
+    Text.sequentialCharMap("ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 .,:!?-+/'()<>=*_%#[]\"x@"));
+
 class TitleScreen extends Sprite {
     constructor() {
-        super("TitleScreen", "TitleScreen.png", -1, {
+        super("TitleScreen", "TitleScreen.png", {
             idle: [[0,500]],
         })
-    }
-    
-    whenReady() {
-        this.x = PLAYFIELD_WIDTH / 2 - 380 / 2;
+        this.x = PLAYFIELD_WIDTH / 2 - this.w / 2;
         this.y = PLAYFIELD_HEIGHT / 2 - this.h / 2;
     }
 }
 
 class ClickToStart extends Sprite {
     constructor() {
-        super("ClickToStart", "ClickToStart.png", 16, {
+        super("ClickToStart", "ClickToStart.png", {
             idle: [
-                [3,4],[4,4],[3,4],[4,4],
-                [0,6],[1,6],[2,6],
-                [3,4],[4,4],[3,4],[4,4],],
+                [3,40],[4,40],[3,40],[4,40],
+                [0,60],[1,60],[2,60],
+                [3,40],[4,40],[3,40],[4,40],],
         })
-    }
-    
-    whenReady() {
-        this.x = PLAYFIELD_WIDTH / 2 - 256 / 2;
+        this.x = PLAYFIELD_WIDTH / 2 - this.w / 2;
         this.y = PLAYFIELD_HEIGHT / 2 - this.h / 2;
     }
 }
 
 class Credits extends Sprite {
     constructor() {
-        super("Credits", "Credits.png", 16, {
-            credits: [[0,20],[1,20],[2,20],[3,20],[4,20],],
+        super("Credits", "Credits.png", {
+            credits: [[0,200],[1,200],[2,200],[3,200],[4,200],],
         })
-    }
-    
-    whenReady() {
-        this.x = PLAYFIELD_WIDTH / 2 - 400 / 2;
+        this.x = PLAYFIELD_WIDTH / 2 - this.w / 2;
         this.y = PLAYFIELD_HEIGHT / 2 + 380/2; // below title
     }
 }
 
 class GameOverMessage extends Sprite {
     constructor() {
-        super("GameOver", "GameOver.png", -1, {
+        super("GameOver", "GameOver.png", {
             idle: [[0,500]],
         })
-        this.sound = playSample("teapotdeath");
-    }
-    
-    whenReady() {
-        this.x = PLAYFIELD_WIDTH / 2 - 304 / 2;
+        this.sound = playSound("teapotdeath");
+        this.x = PLAYFIELD_WIDTH / 2 - this.w / 2;
         this.y = PLAYFIELD_HEIGHT / 2 - this.h / 2;
     }
 }
 
 class NewHiScore extends Sprite {
     constructor() {
-        super("NewHiScore", "NewHiScore.png", 16, {
-            flashing: [[0,5],[1,5]],
+        super("NewHiScore", "NewHiScore.png", {
+            flashing: [[0,50],[1,50]],
         })
-    }
-    
-    whenReady() {
-        this.x = PLAYFIELD_WIDTH / 2 - 240 / 2;
+        this.x = PLAYFIELD_WIDTH / 2 - this.w / 2;
         this.y = PLAYFIELD_HEIGHT / 2 - this.h / 2 + 60;
     }
 }
 
+/* tan(67.5 degrees): past this ratio of one axis to the other, movement counts as straight along it */
+const STRAIGHT_RATIO = 1 + Math.SQRT2;
+
+/**
+ * Snaps a movement to the nearest of the eight compass directions.
+ * @returns that direction as a unit vector
+ */
+function eightWayDirection(dx, dy) {
+    if (Math.abs(dx) > STRAIGHT_RATIO * Math.abs(dy)) {
+        return [Math.sign(dx), 0];
+    }
+    if (Math.abs(dy) > STRAIGHT_RATIO * Math.abs(dx)) {
+        return [0, Math.sign(dy)];
+    }
+    return [Math.sign(dx) * Math.SQRT1_2, Math.sign(dy) * Math.SQRT1_2];
+}
+
 class Player extends Sprite {
     constructor() {
-        super("Player", "Teapot.png", 32, {
+        super("Player", "Teapot.png", {
             idle: [[0,50]],
             walking: [[1,5], [2,5]],
             dead: [[3, 500]],
             wielding: [[4,5],[5,5],[6,5],[7,5]]
         });
         this.setAnimation("wielding");
-        this.x = PLAYFIELD_WIDTH / 4;
-        this.y = PLAYFIELD_HEIGHT / 2;
+        this.x = PLAYER_START_X;
+        this.y = PLAYER_START_Y;
         this.speed = 2.5;
         this.hitbox = {
             x: 6,
@@ -378,51 +525,94 @@ class Player extends Sprite {
             w: 22,
             h: 21,
         }
+        // ticks left before hazards can hurt us again
+        this.invulnerable = 0;
+        // which way we last moved, as a unit vector in one of eight directions
+        this.facing = [1, 0];
     }
 
     move() {
-        if (gamestate.inputs.left) {
-            this.x -= this.speed;
-        }
-        if (gamestate.inputs.right) {
-            this.x += this.speed;
-        }
-        if (gamestate.inputs.up) {
-            this.y -= this.speed;
+        if (this.invulnerable > 0) {
+            this.invulnerable--;
         }
-        if (gamestate.inputs.down) {
-            this.y += this.speed;
+        // the stick moves us in proportion to how far it's pushed; keys push it all the way
+        let inputs = gamestate.inputs;
+        let dx = inputs.moveX + (inputs.right ? 1 : 0) - (inputs.left ? 1 : 0);
+        let dy = inputs.moveY + (inputs.down ? 1 : 0) - (inputs.up ? 1 : 0);
+        let speed = hasPowerUp("speed") ? this.speed * SPEED_BOOST : this.speed;
+        this.x += Math.max(-1, Math.min(dx, 1)) * speed;
+        this.y += Math.max(-1, Math.min(dy, 1)) * speed;
+        if (dx !== 0 || dy !== 0) {
+            this.facing = eightWayDirection(dx, dy);
         }
         if (gamestate.inputs.fire) {
             if (gamestate.knifeThrowCooldown === 0) {
                 gamestate.knifeThrowCooldown = KNIFE_COOLDOWN_FRAMES;
                 if (this.spendKnife(true)) {
-                    let knife = new Knife(Knife.STATE_THROWN);
-                    gamestate.sprites.push(knife);
-                    knife.x = this.x + this.hitbox.w;
-                    knife.y = this.y;
+                    let direction = this.throwDirection();
+                    let directions = hasPowerUp("spread") ? spreadDirections(direction) : [direction];
+                    for (var i = 0; i < directions.length; i++) {
+                        let knife = spawnSprite(Knife, Knife.STATE_GROUNDED);
+                        gamestate.sprites.push(knife);
+                        knife.throwFrom(this, directions[i]);
+                        // only the one knife was spent, so only it can be picked up again
+                        knife.spare = i > 0;
+                    }
                 }
             }
         }
         this.ensureFullyOnScreen();
     }
 
+    /**
+     * Which way a knife thrown now goes, as a unit vector: where the player is
+     * aiming (with the mouse or right stick) if they are, otherwise the way we're
+     * facing.
+     */
+    throwDirection() {
+        let inputs = gamestate.inputs;
+        if (inputs.aimX || inputs.aimY) {
+            // sqrt rather than hypot: it rounds the same everywhere, which replays need
+            let length = Math.sqrt(inputs.aimX * inputs.aimX + inputs.aimY * inputs.aimY);
+            return [inputs.aimX / length, inputs.aimY / length];
+        }
+        return this.facing;
+    }
+
     interact(other) {
         switch (other.name) {
             case "Broccoli":
             case "Onion":
                 if (this.intersects(other)) {
+                    if (this.invulnerable === 0 && hasPowerUp("shield")) {
+                        // the shield takes the hit instead, and is gone
+                        endPowerUp("shield");
+                        playSound("schwing", other);
+                        other.x = -100; // will remove on next frame
+                        break;
+                    }
                     this.die();
                 }
                 break;
+            case "Boss":
+                if (this.intersects(other) && !other.defeated) {
+                    this.die();
+                }
+                break;
+            case "PowerUp":
+                if (this.intersects(other)) {
+                    startPowerUp(other.kind);
+                    playSound("schwing", other);
+                    other.x = -100; // will remove on next frame
+                }
+                break;
             case "Lamb":
                 if (this.intersects(other)) {
                     if (other.dead) break;
                     if (!this.spendKnife(false)) break;
 
                     other.die();
-                    gamestate.score += 1000;
-                    // TODO floating number
+                    scoreLambKill(other, null);
                 }
                 break;
             case "Knife":
@@ -432,10 +622,9 @@ class Player extends Sprite {
                         if (gamestate.knives === 1) {
                             this.setAnimation("wielding");
                         }
-                        gamestate.score += 100;
+                        scorePoints(KNIFE_PICKUP_POINTS, other);
+                        playSound("schwing", other);
                         other.x = -100; // will remove on next frame
-                        playSample("schwing");
-                        // TODO floating number
                     } else {
                         this.die();
                     }
@@ -451,7 +640,7 @@ class Player extends Sprite {
     spendKnife(soundOnFail) {
         if (gamestate.knives === 0) {
             if (soundOnFail) {
-                this.sound = playSample("outtaknives");
+                this.sound = playSound("outtaknives");
             }
             return false;
         }
@@ -462,46 +651,203 @@ class Player extends Sprite {
         return true;
     }
 
+    /**
+     * Blinks while invulnerable.
+     */
+    currentFrame() {
+        if (Math.floor(this.invulnerable / 10) % 2 === 1) {
+            return null;
+        }
+        return super.currentFrame();
+    }
+
+    /**
+     * Wrapped in a puff of steam while shielded.
+     */
+    draw(ctx, x, y) {
+        super.draw(ctx, x, y);
+        if (hasPowerUp("shield")) {
+            ctx.save();
+            ctx.fillStyle = "rgba(255, 255, 255, 0.25)";
+            ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+            ctx.beginPath();
+            ctx.arc(x + this.hitbox.x + this.hitbox.w / 2, y + this.hitbox.y + this.hitbox.h / 2, SHIELD_RADIUS, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Spends a teabag and starts again from PLAYER_START_X/Y, or ends the game
+     * if there are none left.
+     */
     die() {
-        this.setAnimation("dead");
-        setGamePhase(PHASE_GAME_OVER);
+        if (this.invulnerable > 0) {
+            return;
+        }
+        if (gamestate.teabags === 0) {
+            this.setAnimation("dead");
+            setGamePhase(PHASE_GAME_OVER);
+            return;
+        }
+        breakCombo();
+        gamestate.teabags--;
+        playSound("teapotdeath");
+        // start again from where the run started, with the hazards there cleared away
+        this.x = this.prevX = PLAYER_START_X;
+        this.y = this.prevY = PLAYER_START_Y;
+        this.clearHazards(HAZARD_CLEAR_RADIUS);
+        this.invulnerable = RESPAWN_INVULNERABLE_FRAMES;
+    }
+
+    /**
+     * Removes broccoli, onions and flying knives whose centre is within
+     * radius of ours.
+     */
+    clearHazards(radius) {
+        let cx = this.x + this.w / 2;
+        let cy = this.y + this.h / 2;
+        for (var s of gamestate.sprites) {
+            let hazard = s.name === "Broccoli" || s.name === "Onion" ||
+                (s.name === "Knife" && s.state === Knife.STATE_THROWN);
+            if (!hazard) continue;
+            let dx = s.x + s.w / 2 - cx;
+            let dy = s.y + s.h / 2 - cy;
+            if (dx * dx + dy * dy <= radius * radius) {
+                s.x = -100; // will remove on next frame
+            }
+        }
+    }
+}
+
+/*
+ * How lambs get away. lambDodge and lambFlee (0..1, see DIFFICULTY_CURVES) say how
+ * much of this they do.
+ */
+const LAMB_DODGE_RADIUS = 120; // the teapot and knives flying at a lamb closer than this make it dodge
+const LAMB_DODGE_SPEED = 2; // pixels per tick up or down, at full lambDodge
+const LAMB_FLEE_RADIUS = 150; // lambs closer than this to the teapot run for it...
+const LAMB_FLEE_BOOST = 1.5; // ...up to this much faster again, at full lambFlee
+const HERD_SPACING = 28; // between the lambs of a herd, across and along
+const DEFAULT_HERD_SIZE = 5;
+const MAX_HERD_SIZE = 17; // the biggest V that fits on the playfield top to bottom
+
+/**
+ * How a group of lambs (one on its own, or a herd) with the given extent should
+ * move this tick.
+ * @returns [speed leftwards, change in y]
+ */
+function steerLambs(baseSpeed, left, top, right, bottom) {
+    let cx = (left + right) / 2;
+    let cy = (top + bottom) / 2;
+    let player = gamestate.player;
+    let px = player.x + player.hitbox.x + player.hitbox.w / 2;
+    let py = player.y + player.hitbox.y + player.hitbox.h / 2;
+
+    let speed = baseSpeed;
+    let playerDistance = Math.sqrt((cx - px) * (cx - px) + (cy - py) * (cy - py));
+    if (playerDistance < LAMB_FLEE_RADIUS) {
+        speed *= 1 + gamestate.lambFlee * LAMB_FLEE_BOOST * (1 - playerDistance / LAMB_FLEE_RADIUS);
+    }
+
+    // each threat pushes up or down, away from it, harder the closer it is
+    let push = 0;
+    if (playerDistance < LAMB_DODGE_RADIUS) {
+        push += (Math.sign(cy - py) || 1) * (1 - playerDistance / LAMB_DODGE_RADIUS);
+    }
+    for (var s of gamestate.sprites) {
+        if (s.name !== "Knife" || s.state !== Knife.STATE_THROWN) {
+            continue;
+        }
+        let kx = s.x + s.hitbox.x + s.hitbox.w / 2;
+        let ky = s.y + s.hitbox.y + s.hitbox.h / 2;
+        let distance = Math.sqrt((cx - kx) * (cx - kx) + (cy - ky) * (cy - ky));
+        let incoming = (cx - kx) * s.velocity[0] + (cy - ky) * s.velocity[1] > 0;
+        if (incoming && distance < LAMB_DODGE_RADIUS) {
+            push += (Math.sign(cy - ky) || 1) * (1 - distance / LAMB_DODGE_RADIUS);
+        }
     }
+    push = Math.max(-1, Math.min(push, 1));
+    let dy = push * gamestate.lambDodge * LAMB_DODGE_SPEED;
+    // not off the top or bottom
+    dy = Math.max(-top, Math.min(dy, PLAYFIELD_HEIGHT - bottom));
+    return [speed, dy];
 }
 
 class Lamb extends Sprite {
+    static pooled = true;
+
     constructor() {
-        super("Lamb", "Lamb.png", 32, {
+        super("Lamb", "Lamb.png", {
             idle: [[0,50]],
             running: [[1,5], [2,5], [3,5]],
             dead: [[4,500]]
         });
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
         this.setAnimation("running");
         this.dead = false;
-    }
-    
-    whenReady() {
+        /**
+         * The herd this lamb runs with, if it's in one:
+         * { members: Lamb[], frame: when the herd last steered, speed, dy }
+         */
+        this.herd = null;
         this.x = PLAYFIELD_WIDTH;
-        this.y = Math.random() * (PLAYFIELD_HEIGHT - this.h);
+        this.y = random() * (PLAYFIELD_HEIGHT - this.h);
     }
 
     move() {
         if (this.dead) {
             this.x -= gamestate.roadSpeed;
-        } else {
-            this.x -= gamestate.lambSpeed;
+            return;
+        }
+        let baseSpeed = this.speed != null ? this.speed : gamestate.lambSpeed;
+        let herd = this.herd;
+        if (herd === null) {
+            let [speed, dy] = steerLambs(baseSpeed, this.x, this.y, this.x + this.w, this.y + this.h);
+            this.x -= speed;
+            this.y += dy;
+            return;
+        }
+        // the whole herd moves the same way, so it stays in formation
+        if (herd.frame !== gamestate.frame) {
+            herd.frame = gamestate.frame;
+            let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+            for (var lamb of herd.members) {
+                if (lamb.herd === herd && lamb.inPlay && !lamb.dead) {
+                    left = Math.min(left, lamb.x);
+                    top = Math.min(top, lamb.y);
+                    right = Math.max(right, lamb.x + lamb.w);
+                    bottom = Math.max(bottom, lamb.y + lamb.h);
+                }
+            }
+            [herd.speed, herd.dy] = steerLambs(baseSpeed, left, top, right, bottom);
         }
+        this.x -= herd.speed;
+        this.y += herd.dy;
     }
 
     die() {
         this.setAnimation("dead");
         this.dead = true;
-        this.sound = playSample("lambkill");
+        this.sound = playSound("lambkill", this);
+    }
+
+    finished() {
+        // herds start partly off the right edge, still on their way in
+        return this.x < -this.w;
     }
 }
 
 class Broccoli extends Sprite {
+    static pooled = true;
+
     constructor() {
-        super("Broccoli", "Broccoli.png", 32, {
+        super("Broccoli", "Broccoli.png", {
             idle: [[0,50]]
         });
         this.hitbox = {
@@ -510,21 +856,25 @@ class Broccoli extends Sprite {
             w: 12,
             h: 16,
         }
+        this.reset();
     }
 
-    whenReady() {
+    reset() {
+        super.reset();
         this.x = PLAYFIELD_WIDTH;
-        this.y = Math.random() * (PLAYFIELD_HEIGHT - this.h);
+        this.y = random() * (PLAYFIELD_HEIGHT - this.h);
     }
 
     move() {
-        this.x -= gamestate.roadSpeed;
+        this.x -= this.speed != null ? this.speed : gamestate.roadSpeed;
     }
 }
 
 class Onion extends Sprite {
+    static pooled = true;
+
     constructor() {
-        super("Onion", "Onion.png", 32, {
+        super("Onion", "Onion.png", {
             rolling: [[0,5],[1,5],[2,5],[3,5],]
         });
         this.hitbox = {
@@ -533,9 +883,11 @@ class Onion extends Sprite {
             w: 20,
             h: 21,
         }
+        this.reset();
     }
 
-    whenReady() {
+    reset() {
+        super.reset();
         this.x = gamestate.player.x;
         if (gamestate.player.y < PLAYFIELD_HEIGHT / 2) {
             this.y = PLAYFIELD_HEIGHT;
@@ -549,28 +901,68 @@ class Onion extends Sprite {
     move() {
         this.y += this.speed;
     }
+
+    setSpeed(speed) {
+        // keeps rolling the way it was going
+        this.speed = Math.sign(this.speed) * speed;
+    }
 }
 
 class Knife extends Sprite {
     static STATE_GROUNDED = "STATE_GROUNDED";
     static STATE_THROWN = "STATE_THROWN";
 
+    static pooled = true;
+
     constructor(initialState) {
-        const height = 32;
-        super("Knife", "Knife.png", height, {
+        super("Knife", "Knife.png", {
             grounded: [[0,50]],
             thrown: [[0,2], [1,2], [2,2], [3,2]]
         });
-        this.x = PLAYFIELD_WIDTH;
-        this.y = Math.random() * PLAYFIELD_HEIGHT - height;
         this.hitbox = {
             x: 6,
             y: 5,
             w: 9,
             h: 9,
         }
+        this.velocity = [0, 0];
+        this.reset(initialState);
+    }
+
+    reset(initialState) {
+        super.reset();
+        this.x = PLAYFIELD_WIDTH;
+        this.y = random() * PLAYFIELD_HEIGHT - this.h;
         this.setState(initialState);
-        this.velocity = [6, 0];
+        this.velocity[0] = KNIFE_THROW_SPEED;
+        this.velocity[1] = 0;
+        /** Lambs this knife has killed since it was thrown */
+        this.kills = 0;
+        /** An extra knife from a spread throw, which is gone when it lands. See land(). */
+        this.spare = false;
+    }
+
+    /**
+     * Sends this knife flying in direction (a unit vector), starting just clear of
+     * the thrower's hitbox so it can't hit them on the way out.
+     */
+    throwFrom(/** @type {Sprite} */ thrower, direction) {
+        let [dx, dy] = direction;
+        let halfWidths = thrower.hitbox.w / 2 + this.hitbox.w / 2 + 1;
+        let halfHeights = thrower.hitbox.h / 2 + this.hitbox.h / 2 + 1;
+        let distance = Math.min(
+            dx === 0 ? Infinity : halfWidths / Math.abs(dx),
+            dy === 0 ? Infinity : halfHeights / Math.abs(dy));
+        let cx = thrower.x + thrower.hitbox.x + thrower.hitbox.w / 2 + dx * distance;
+        let cy = thrower.y + thrower.hitbox.y + thrower.hitbox.h / 2 + dy * distance;
+        this.x = cx - this.hitbox.x - this.hitbox.w / 2;
+        this.y = cy - this.hitbox.y - this.hitbox.h / 2;
+        this.velocity[0] = dx * KNIFE_THROW_SPEED;
+        this.velocity[1] = dy * KNIFE_THROW_SPEED;
+        this.kills = 0;
+        this.setState(Knife.STATE_THROWN);
+        // only now that it's where it was thrown from, so it's heard from there
+        this.sound = playSound("throw", this);
     }
     
     setState(newState) {
@@ -582,7 +974,6 @@ class Knife extends Sprite {
             case Knife.STATE_THROWN:
                 this.setAnimation("thrown");
                 this.silence();
-                this.sound = playSample("throw");
                 break;
         }
         this.state = newState;
@@ -591,7 +982,10 @@ class Knife extends Sprite {
     move() {
         switch (this.state) {
             case Knife.STATE_GROUNDED:
-                this.x -= gamestate.roadSpeed;
+                this.x -= this.speed != null ? this.speed : gamestate.roadSpeed;
+                if (hasPowerUp("magnet")) {
+                    this.pullTowards(gamestate.player);
+                }
                 break;
             case Knife.STATE_THROWN:
                 this.x += this.velocity[0];
@@ -608,22 +1002,106 @@ class Knife extends Sprite {
             case "Broccoli":
             case "Onion":
                 if (this.intersects(other)) {
-                    this.setState(Knife.STATE_GROUNDED);
+                    this.land();
+                }
+                break;
+            case "Boss":
+                if (this.intersects(other) && !other.defeated) {
+                    other.hit();
+                    // drops where it hit, to be picked up again
+                    this.land();
                 }
                 break;
             case "Lamb":
                 if (this.intersects(other)) {
                     if (other.dead) break;
                     other.die(); // TODO: score in lamb.die()?
-                    gamestate.score += 1000;
-                    // TODO floating number
-                    this.velocity[0] *= -1;
-                    this.velocity[1] = Math.random() * 4 - 2
+                    this.kills++;
+                    scoreLambKill(other, this);
+                    this.ricochet(other);
                     break;
                 }
         }
     }
 
+    /**
+     * Drops this knife onto the road, where the player can pick it up again. A
+     * spare one vanishes instead, so the spread power-up can't make knives.
+     */
+    land() {
+        if (this.spare) {
+            this.silence();
+            this.x = -100; // will remove on next frame
+            return;
+        }
+        this.setState(Knife.STATE_GROUNDED);
+    }
+
+    /**
+     * Moves this knife up to MAGNET_PULL pixels closer to target, if it's within MAGNET_RADIUS.
+     */
+    pullTowards(/** @type {Sprite} */ target) {
+        let dx = (target.x + target.hitbox.x + target.hitbox.w / 2) - (this.x + this.hitbox.x + this.hitbox.w / 2);
+        let dy = (target.y + target.hitbox.y + target.hitbox.h / 2) - (this.y + this.hitbox.y + this.hitbox.h / 2);
+        let distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0 || distance > MAGNET_RADIUS) {
+            return;
+        }
+        let step = Math.min(MAGNET_PULL, distance);
+        this.x += dx / distance * step;
+        this.y += dy / distance * step;
+    }
+
+    /**
+     * Bounces off other: the velocity is mirrored in the side of other's hitbox
+     * we went into, then knocked a little to one side so it's not too predictable.
+     */
+    ricochet(/** @type {Sprite} */ other) {
+        // we came in through whichever side we overlap least
+        let overlapX = Math.min(this.x + this.hitbox.x + this.hitbox.w, other.x + other.hitbox.x + other.hitbox.w) -
+            Math.max(this.x + this.hitbox.x, other.x + other.hitbox.x);
+        let overlapY = Math.min(this.y + this.hitbox.y + this.hitbox.h, other.y + other.hitbox.y + other.hitbox.h) -
+            Math.max(this.y + this.hitbox.y, other.y + other.hitbox.y);
+        let towardsX = (this.x + this.hitbox.x + this.hitbox.w / 2) - (other.x + other.hitbox.x + other.hitbox.w / 2);
+        let towardsY = (this.y + this.hitbox.y + this.hitbox.h / 2) - (other.y + other.hitbox.y + other.hitbox.h / 2);
+        let normal = overlapX < overlapY ? [Math.sign(towardsX) || 1, 0] : [0, Math.sign(towardsY) || 1];
+
+        let [vx, vy] = this.velocity;
+        let speed = Math.sqrt(vx * vx + vy * vy);
+        let along = vx * normal[0] + vy * normal[1];
+        if (along < 0) {
+            // only when heading in; a knife already on its way out keeps going
+            vx -= 2 * along * normal[0];
+            vy -= 2 * along * normal[1];
+        }
+        let scatter = (random() * 2 - 1) * KNIFE_RICOCHET_SCATTER;
+        vx += -normal[1] * scatter;
+        vy += normal[0] * scatter;
+        let length = Math.sqrt(vx * vx + vy * vy);
+        this.velocity[0] = vx / length * speed;
+        this.velocity[1] = vy / length * speed;
+    }
+
+    /**
+     * Thrown knives are turned to point the way they're flying.
+     */
+    draw(ctx, x, y) {
+        let image = this.currentFrame();
+        if (image == null) return;
+        if (this.state !== Knife.STATE_THROWN) {
+            ctx.drawImage(image, x, y);
+            return;
+        }
+        // turn about the blade, which is where the hitbox is
+        let cx = x + this.hitbox.x + this.hitbox.w / 2;
+        let cy = y + this.hitbox.y + this.hitbox.h / 2;
+        ctx.save();
+        ctx.translate(cx, cy);
+        ctx.rotate(Math.atan2(this.velocity[1], this.velocity[0]));
+        ctx.drawImage(image, x - cx, y - cy);
+        ctx.restore();
+    }
+
     finished() {
         let f = super.finished();
         if (f) {
@@ -633,34 +1111,276 @@ class Knife extends Sprite {
     }
 }
 
-class RoadLine extends Sprite {
-    constructor(y) {
-        super("Road Line", "RoadLine.png", 8, {
+/**
+ * A pickup that gives the player one of the POWER_UPS for a while. Drawn rather
+ * than loaded, as a badge like the status bar's.
+ */
+class PowerUp extends Sprite {
+    static pooled = true;
+
+    constructor() {
+        super("PowerUp", null, {
             idle: [[0,500]]
-        });
-        this.x = PLAYFIELD_WIDTH;
-        this.y = y;
+        }, [24, 24]);
+        this.hitbox = {
+            x: 2,
+            y: 2,
+            w: 20,
+            h: 20,
+        }
+        this.reset();
     }
-    
+
+    reset() {
+        super.reset();
+        let kinds = Object.keys(POWER_UPS);
+        /** Which of the POWER_UPS this is */
+        this.kind = kinds[Math.floor(random() * kinds.length)];
+        this.x = PLAYFIELD_WIDTH;
+        this.y = random() * (PLAYFIELD_HEIGHT - this.h);
+    }
+
     move() {
-        this.x -= gamestate.roadSpeed;
+        this.x -= this.speed != null ? this.speed : gamestate.roadSpeed;
+    }
+
+    draw(ctx, x, y) {
+        drawPowerUpBadge(ctx, this.kind, x + this.w / 2, y + this.h / 2, this.w / 2);
     }
 }
 
-class Sidewalk extends Sprite {
+/**
+ * An onion the boss throws. Flies in a straight line at whatever velocity it's given.
+ */
+class OnionShot extends Onion {
+    static pooled = true;
+
+    constructor(cx, cy, vx, vy) {
+        super();
+        this.velocity = [0, 0];
+        this.reset(cx, cy, vx, vy);
+    }
+
+    /**
+     * Centres the onion on (cx, cy), flying at (vx, vy) pixels per tick.
+     */
+    reset(cx, cy, vx, vy) {
+        super.reset();
+        this.x = cx - this.w / 2;
+        this.y = cy - this.h / 2;
+        // Onion's constructor calls this before ours has made the velocity
+        if (this.velocity) {
+            this.velocity[0] = vx;
+            this.velocity[1] = vy;
+        }
+    }
+
+    move() {
+        this.x += this.velocity[0];
+        this.y += this.velocity[1];
+    }
+}
+
+/**
+ * A giant broccoli that turns up where the level says (see SPAWN_TYPES), bobs
+ * up and down at the right of the playfield throwing onions, and takes a lot of
+ * knives to bring down.
+ */
+class Boss extends Sprite {
+    constructor() {
+        super("Boss", "Broccoli.png", {
+            idle: [[0,50]]
+        });
+        this.w *= BOSS_SCALE;
+        this.h *= BOSS_SCALE;
+        // the broccoli's own hitbox, scaled up
+        this.hitbox = {
+            x: 10 * BOSS_SCALE,
+            y: 6 * BOSS_SCALE,
+            w: 12 * BOSS_SCALE,
+            h: 16 * BOSS_SCALE,
+        }
+        this.x = PLAYFIELD_WIDTH;
+        this.y = PLAYFIELD_HEIGHT / 2 - this.h / 2;
+        this.maxHealth = BOSS_HEALTH + BOSS_EXTRA_HEALTH * gamestate.bossesDefeated;
+        this.health = this.maxHealth;
+        this.vy = BOSS_SPEED;
+        this.attack = 0; // which of BOSS_ATTACKS is next
+        this.attackTimer = BOSS_ATTACK_INTERVAL;
+        this.hurtTimer = 0; // flashes for this many ticks after a hit
+        this.defeated = false;
+    }
+
+    move() {
+        if (this.defeated) {
+            this.x -= gamestate.roadSpeed;
+            return;
+        }
+        if (this.hurtTimer > 0) {
+            this.hurtTimer--;
+        }
+        if (this.x > BOSS_X) {
+            // still coming on; no attacking yet
+            this.x = Math.max(this.x - BOSS_SPEED, BOSS_X);
+            return;
+        }
+        this.y += this.vy;
+        if (this.y < 0 || this.y + this.h > PLAYFIELD_HEIGHT) {
+            this.y = Math.max(0, Math.min(this.y, PLAYFIELD_HEIGHT - this.h));
+            this.vy = -this.vy;
+        }
+        if (--this.attackTimer <= 0) {
+            BOSS_ATTACKS[this.attack](this);
+            playSound("onionthrow", this);
+            this.attack = (this.attack + 1) % BOSS_ATTACKS.length;
+            // attacks come quicker as it weakens
+            this.attackTimer = Math.round(BOSS_ATTACK_INTERVAL * (0.5 + 0.5 * this.health / this.maxHealth));
+        }
+    }
+
+    /**
+     * Takes a knife. The last one defeats it.
+     */
+    hit() {
+        if (this.defeated) {
+            return;
+        }
+        this.hurtTimer = BOSS_HURT_FRAMES;
+        if (--this.health === 0) {
+            defeatBoss(this);
+        }
+    }
+
+    draw(ctx, x, y) {
+        let image = this.currentFrame();
+        if (image == null || Math.floor(this.hurtTimer / 4) % 2 === 1) return;
+        ctx.save();
+        if (this.defeated) {
+            ctx.globalAlpha = 0.5;
+        }
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, x, y, this.w, this.h);
+        ctx.restore();
+    }
+
+    finished() {
+        // it comes on from off the right edge, and only goes once beaten
+        return this.defeated && this.x < -this.w;
+    }
+}
+
+class RoadLine extends Sprite {
+    static pooled = true;
+
     constructor(y) {
-        super("Sidewalk", "Sidewalk.png", 32, {
+        super("Road Line", "RoadLine.png", {
             idle: [[0,500]]
         });
+        this.reset(y);
     }
-    
-    whenReady() {
+
+    reset(y) {
+        super.reset();
+        this.x = PLAYFIELD_WIDTH;
+        this.y = y;
+    }
+
+    move() {
+        this.x -= this.speed != null ? this.speed : gamestate.roadSpeed;
+    }
+}
+
+class Sidewalk extends Sprite {
+    static pooled = true;
+
+    constructor() {
+        super("Sidewalk", "Sidewalk.png", {
+            idle: [[0,500]]
+        });
+        this.reset();
+    }
+
+    reset() {
+        super.reset();
         this.x = PLAYFIELD_WIDTH;
         this.y = 0;
     }
 
     move() {
-        this.x -= gamestate.roadSpeed;
+        this.x -= this.speed != null ? this.speed : gamestate.roadSpeed;
+    }
+}
+
+/**
+ * A number that drifts up from where some points were scored and fades away.
+ * Drawn in the status bar's font.
+ */
+class FloatingText extends Sprite {
+    static LIFETIME_FRAMES = 80;
+    static DRIFT_SPEED = 0.5;
+
+    static pooled = true;
+
+    constructor(text, centerX, y) {
+        super("FloatingText", null, {
+            idle: [[0,500]]
+        }, [scoreFont.measure(text), scoreFont.h]);
+        this.reset(text, centerX, y);
+    }
+
+    reset(text, centerX, y) {
+        super.reset();
+        this.text = text;
+        this.w = scoreFont.measure(text);
+        this.x = centerX - this.w / 2;
+        this.y = y;
+        this.framesLeft = FloatingText.LIFETIME_FRAMES;
+    }
+
+    move() {
+        this.y -= FloatingText.DRIFT_SPEED;
+        this.framesLeft--;
+    }
+
+    draw(ctx, x, y) {
+        ctx.save();
+        ctx.globalAlpha = Math.max(this.framesLeft / FloatingText.LIFETIME_FRAMES, 0);
+        scoreFont.draw(ctx, this.text, x, y);
+        ctx.restore();
+    }
+
+    finished() {
+        return this.framesLeft <= 0 || super.finished();
+    }
+}
+
+/**
+ * A line of text across the playfield for a couple of seconds, like the name
+ * of the stage that's starting.
+ */
+class Banner extends Sprite {
+    static LIFETIME_FRAMES = 250;
+
+    constructor(text) {
+        super("Banner", null, {
+            idle: [[0,500]]
+        }, [messageFont.measure(text), messageFont.h]);
+        this.text = text;
+        this.x = PLAYFIELD_WIDTH / 2 - this.w / 2;
+        this.y = PLAYFIELD_HEIGHT / 3;
+        this.framesLeft = Banner.LIFETIME_FRAMES;
+    }
+
+    move() {
+        this.framesLeft--;
+    }
+
+    draw(ctx, x, y) {
+        messageFont.draw(ctx, this.text, x, y);
+    }
+
+    finished() {
+        return this.framesLeft <= 0;
     }
 }
 
@@ -690,6 +1410,10 @@ let sounds = {
     teapotdeath: {
         file: "TeapotDeath.mp3"
     },
+    extrateabag: {
+        // no file for this one: synthesizeSample() plays these (in Hz) one after another
+        notes: [523.25, 659.25, 783.99, 1046.5],
+    },
     runningmusic: {
         file: "CarnivorousTeapotTheme.mp3",
         loop: true,
@@ -704,10 +1428,111 @@ let sounds = {
     },
 }
 
-const audioCtx = new AudioContext();
+/**
+ * Created by game() on page load. Stays null when running headless.
+ * @type {AudioContext}
+ */
+let audioCtx = null;
+
+/*
+ * Music and sound effects each play through their own gain node (bus), and
+ * both buses go through the master gain, which is what mute silences.
+ */
+const mixer = {
+    /** @type {GainNode} */ master: null,
+    /** @type {GainNode} */ music: null,
+    /** @type {GainNode} */ sfx: null,
+};
+
+/* How long one music track takes to fade into the next */
+const MUSIC_CROSSFADE_SECONDS = 1.5;
+
+/* How far left or right (0..1) sounds at the playfield's edges are panned */
+const PAN_WIDTH = 0.8;
+
+const AUDIO_SETTINGS_STORAGE_KEY = "audioSettings_1";
+const DEFAULT_AUDIO_SETTINGS = {
+    music: 0.7, // bus volumes, 0..1
+    sfx: 1,
+    muted: false,
+};
+let audioSettings = loadAudioSettings();
+
+function loadAudioSettings() {
+    let loaded = Object.assign({}, DEFAULT_AUDIO_SETTINGS);
+    if (typeof localStorage === "undefined" || !localStorage.getItem(AUDIO_SETTINGS_STORAGE_KEY)) {
+        return loaded;
+    }
+    try {
+        let saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_STORAGE_KEY));
+        for (var name of Object.keys(loaded)) {
+            if (typeof saved[name] === typeof loaded[name]) {
+                loaded[name] = saved[name];
+            }
+        }
+    } catch (e) {
+        console.log("Ignoring saved audio settings:", e);
+    }
+    return loaded;
+}
+
+function saveAudioSettings() {
+    if (typeof localStorage !== "undefined") {
+        localStorage.setItem(AUDIO_SETTINGS_STORAGE_KEY, JSON.stringify(audioSettings));
+    }
+}
+
+/**
+ * Builds the mixer's buses. Called once audioCtx exists.
+ */
+function setupMixer() {
+    mixer.master = audioCtx.createGain();
+    mixer.master.connect(audioCtx.destination);
+    mixer.music = audioCtx.createGain();
+    mixer.music.connect(mixer.master);
+    mixer.sfx = audioCtx.createGain();
+    mixer.sfx.connect(mixer.master);
+    applyAudioSettings();
+}
+
+/**
+ * Brings the mixer's gains in line with audioSettings.
+ */
+function applyAudioSettings() {
+    if (mixer.master == null) {
+        return;
+    }
+    // a short ramp rather than a jump, which would click
+    const now = audioCtx.currentTime;
+    mixer.master.gain.setTargetAtTime(audioSettings.muted ? 0 : 1, now, 0.02);
+    mixer.music.gain.setTargetAtTime(audioSettings.music, now, 0.02);
+    mixer.sfx.gain.setTargetAtTime(audioSettings.sfx, now, 0.02);
+}
+
+function toggleMute() {
+    audioSettings.muted = !audioSettings.muted;
+    saveAudioSettings();
+    applyAudioSettings();
+    showVolume(audioSettings.muted ? "SOUND OFF" : "SOUND ON");
+}
+
+/**
+ * Turns one bus ("music" or "sfx") up or down a notch, unmuting if need be.
+ */
+function changeVolume(bus, delta) {
+    let volume = Math.round((audioSettings[bus] + delta) * 10) / 10;
+    audioSettings[bus] = Math.max(0, Math.min(volume, 1));
+    audioSettings.muted = false;
+    saveAudioSettings();
+    applyAudioSettings();
+    showVolume((bus === "music" ? "MUSIC " : "EFFECTS ") + Math.round(audioSettings[bus] * 100) + "%");
+}
 
 async function getFile(audioContext, filepath) {
     const response = await fetch(filepath);
+    if (!response.ok) {
+        throw new Error("HTTP " + response.status);
+    }
     const arrayBuffer = await response.arrayBuffer();
     /** @type {AudioBuffer} */
     const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
@@ -720,44 +1545,200 @@ async function setupSample(soundTableEntry) {
     soundTableEntry.buffer = buffer;
 }
 
-async function setupSamples() {
-    for (var name of Object.keys(sounds)) {
-        await setupSample(sounds[name]);
-    }
+/**
+ * Makes a sound table entry's buffer out of its notes rather than a file: a short
+ * fading square wave for each, like an arcade jingle.
+ */
+function synthesizeSample(soundTableEntry) {
+    const noteSeconds = 0.08;
+    const volume = 0.25;
+    let rate = audioCtx.sampleRate;
+    let noteLength = Math.round(noteSeconds * rate);
+    let buffer = audioCtx.createBuffer(1, noteLength * soundTableEntry.notes.length, rate);
+    let data = buffer.getChannelData(0);
+    soundTableEntry.notes.forEach((frequency, n) => {
+        for (var i = 0; i < noteLength; i++) {
+            let wave = Math.sin(2 * Math.PI * frequency * i / rate) >= 0 ? 1 : -1;
+            data[n * noteLength + i] = wave * volume * (1 - i / noteLength);
+        }
+    });
+    soundTableEntry.buffer = buffer;
 }
 
-function playSample(name) {
+/**
+ * Starts the named sound playing into output.
+ * @returns the sound's source node, or null if it can't be played
+ */
+function playSample(name, /** @type {AudioNode} */ output) {
     if (!sounds[name]) {
         console.log("Sound not defined:", name);
-        return;
+        return null;
     }
     let audioBuffer = sounds[name].buffer;
     if (!audioBuffer) {
-        console.log("Sound not loaded:", name);
+        // its file is missing, which the loading screen has already reported
+        return null;
     }
     const sampleSource = new AudioBufferSourceNode(audioCtx, {
       buffer: audioBuffer,
       playbackRate: 1,
       loop: !!sounds[name].loop,
     });
-    sampleSource.connect(audioCtx.destination);
+    sampleSource.connect(output);
     sampleSource.start(audioCtx.currentTime);
     return sampleSource;
 }
 
+/**
+ * Where a sound effect should go: straight into the effects bus, or if it
+ * comes from somewhere on the playfield, through a panner set to match.
+ * @param {number | undefined} x
+ */
+function sfxOutput(x) {
+    if (x === undefined) {
+        return mixer.sfx;
+    }
+    let pan = (x / PLAYFIELD_WIDTH) * 2 - 1;
+    let panner = new StereoPannerNode(audioCtx, { pan: Math.max(-1, Math.min(pan, 1)) * PAN_WIDTH });
+    panner.connect(mixer.sfx);
+    return panner;
+}
+
 /** Use setMusic() to  change this.
- * @type {AudioBufferSourceNode}
+ * @type {{ name: string, source: AudioBufferSourceNode, fader: GainNode }}
  */
 let currentBgMusic = null;
+
+/**
+ * Fades the current music out and the named track (if not null) in.
+ * Asking for the track that's already playing leaves it be.
+ */
 function setMusic(name) {
+    const now = audioCtx.currentTime;
     if (currentBgMusic) {
-        currentBgMusic.disconnect();
+        if (currentBgMusic.name === name) {
+            return;
+        }
+        let fading = currentBgMusic;
+        fading.fader.gain.cancelScheduledValues(now);
+        fading.fader.gain.setValueAtTime(fading.fader.gain.value, now);
+        fading.fader.gain.linearRampToValueAtTime(0, now + MUSIC_CROSSFADE_SECONDS);
+        fading.source.stop(now + MUSIC_CROSSFADE_SECONDS);
+        currentBgMusic = null;
     }
     if (name == null) {
-        currentBgMusic = null;
-    } else {
-        currentBgMusic = playSample(name);
+        return;
+    }
+    let fader = audioCtx.createGain();
+    fader.connect(mixer.music);
+    let source = playSample(name, fader);
+    if (source == null) {
+        return;
+    }
+    fader.gain.setValueAtTime(0, now);
+    fader.gain.linearRampToValueAtTime(1, now + MUSIC_CROSSFADE_SECONDS);
+    currentBgMusic = { name: name, source: source, fader: fader };
+}
+
+/**
+ * Simulation observer that plays the sounds and music the game asks for
+ * through Web Audio.
+ */
+const audioObserver = {
+    soundStarted(sound) {
+        sound.node = playSample(sound.name, sfxOutput(sound.x));
+    },
+
+    soundStopped(sound) {
+        if (sound.node) {
+            sound.node.disconnect();
+            sound.node = null;
+        }
+    },
+
+    musicChanged(name) {
+        setMusic(name);
+    },
+
+    pauseChanged(paused) {
+        // freezes every sound, looping ones included, right where it is
+        if (paused) {
+            audioCtx.suspend();
+        } else {
+            audioCtx.resume();
+        }
+    },
+}
+
+
+/********************
+ * Assets
+ ********************/
+
+/** How far loadAssets() has got, for the loading screen */
+const assetProgress = {
+    loaded: 0,
+    total: 0,
+    missing: [], // files that couldn't be loaded
+    done: false,
+};
+
+/**
+ * Loads one spritesheet from IMAGE_ASSETS and slices it into frameCache,
+ * left-to-right and top-to-bottom.
+ */
+async function loadImageAsset(file) {
+    const [fw, fh] = IMAGE_ASSETS[file];
+    const image = await new Promise((resolve, reject) => {
+        let image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error("Image didn't load"));
+        image.src = file;
+    });
+
+    // cutting from spritesheet https://developer.mozilla.org/en-US/docs/Web/API/createImageBitmap
+    let framePromises = [];
+    for (var y = 0; y < image.height; y += fh) {
+        for (var x = 0; x < image.width; x += fw) {
+            framePromises.push(createImageBitmap(image, x, y, fw, fh));
+        }
+    }
+    frameCache[file] = await Promise.all(framePromises);
+}
+
+/**
+ * Loads and decodes every spritesheet and sound the game uses, each exactly once.
+ * A file that fails to load doesn't stop the others; it ends up in
+ * assetProgress.missing instead.
+ */
+async function loadAssets() {
+    let assets = [];
+    for (var file of Object.keys(IMAGE_ASSETS)) {
+        assets.push([file, loadImageAsset]);
+    }
+    for (var name of Object.keys(sounds)) {
+        if (sounds[name].notes) {
+            synthesizeSample(sounds[name]);
+            continue;
+        }
+        assets.push([sounds[name].file, setupSample.bind(null, sounds[name])]);
     }
+    assetProgress.total = assets.length;
+
+    const load = async ([file, loader]) => {
+        try {
+            await loader(file);
+        } catch (e) {
+            console.error("Couldn't load", file, ":", e);
+            assetProgress.missing.push(file);
+        }
+        assetProgress.loaded++;
+    };
+
+    // the font first, so the loading screen can say what's going on
+    await load(assets[0]);
+    await Promise.all(assets.slice(1).map(load));
+    assetProgress.done = true;
 }
 
 
@@ -765,15 +1746,53 @@ function setMusic(name) {
  * game state
  ********************/
 
+const PHASE_LOADING = "PHASE_LOADING";
 const PHASE_ATTRACT = "PHASE_ATTRACT";
 const PHASE_RUNNING = "PHASE_RUNNING";
 const PHASE_GAME_OVER = "GAME_OVER"
+const PHASE_REPLAY = "PHASE_REPLAY";
+const PHASE_SETTINGS = "PHASE_SETTINGS";
+const PHASE_PAUSED = "PHASE_PAUSED";
+const PHASE_INITIALS = "PHASE_INITIALS";
+
+/* The attract phase takes turns showing these */
+const ATTRACT_TITLE = "ATTRACT_TITLE";
+const ATTRACT_LEADERBOARD = "ATTRACT_LEADERBOARD";
+const ATTRACT_REMOTE_LEADERBOARD = "ATTRACT_REMOTE_LEADERBOARD";
+const ATTRACT_TITLE_FRAMES = 1000;
+const ATTRACT_LEADERBOARD_FRAMES = 600;
+
+/* The game logic always advances at this rate, no matter how often the screen refreshes. */
+const TICKS_PER_SECOND = 100;
+const TICK_MS = 1000 / TICKS_PER_SECOND;
 
 const KNIFE_COOLDOWN_FRAMES = 20;
+const KNIFE_THROW_SPEED = 6; // pixels per tick
+const KNIFE_RICOCHET_SCATTER = 2; // most a knife bouncing off a lamb is knocked sideways, pixels per tick
+const PLAYER_START_X = PLAYFIELD_WIDTH / 4; // where the teapot starts, and comes back after losing a teabag
+const PLAYER_START_Y = PLAYFIELD_HEIGHT / 2;
+const RESPAWN_INVULNERABLE_FRAMES = 300;
+const HAZARD_CLEAR_RADIUS = 100;
+
+const LAMB_POINTS = 1000;
+
+/* Bosses */
+const BOSS_FIRST_SCORE = 20000;
+const BOSS_SCORE_INTERVAL = 40000; // from beating one boss to the next turning up
+const BOSS_POINTS = 25000;
+const KNIFE_PICKUP_POINTS = 100;
+
+/* Combos: how the multiplier builds up, and how fast it falls back to 1 once the kills stop */
+const COMBO_WINDOW_TICKS = 300; // longest gap between kills that keeps a combo going
+const COMBO_CHAIN_BONUS = 0.5; // for each kill in a combo after the first
+const COMBO_RICOCHET_BONUS = 1; // for each kill after the first by the same thrown knife
+const COMBO_FLAWLESS_KILLS = 5; // every this many kills without getting hurt...
+const COMBO_FLAWLESS_BONUS = 1; // ...adds this
+const COMBO_DECAY = 0.005; // per tick, once the combo's over
+const MAX_MULTIPLIER = 8;
 
 const INITIAL_GAMESTATE = {
-    phase: PHASE_ATTRACT,
-    frameDelay: 10,
+    phase: PHASE_LOADING,
 
     bgsprites: [],
     sprites: [],
@@ -784,103 +1803,2884 @@ const INITIAL_GAMESTATE = {
         right: false,
         down: false,
         up: false,
+        fire: false,
+        moveX: 0, // analog stick, -1 (left) to 1 (right)
+        moveY: 0, // analog stick, -1 (up) to 1 (down)
+        aimX: 0, // which way to throw (mouse or right stick), 0, 0 to throw the way the player faces
+        aimY: 0,
     },
 
     player: null, // set in setGamePhase when newPhase == RUNNING
-    teabags: 3,
+
+    frame: 0, // ticks since the run started
+
+    seed: 0, // set in setGamePhase when newPhase == RUNNING
+    rngState: 0, // advanced by random()
+
+    recording: null, // inputs of the current run, see recordInputs()
+    finishedRun: null, // summary of the run that just ended, for the leaderboards
+    replay: null, // replay being played back in PHASE_REPLAY, see startReplay()
+    replayCursor: 0,
+    replayEntry: [0], // encoded inputs the replay is currently holding
+
+    pausedPhase: null, // the phase resumeGame() goes back to
+
+    attractScreen: ATTRACT_TITLE,
+    attractTimer: ATTRACT_TITLE_FRAMES, // ticks until the attract phase shows its other screen
+    initials: null, // set in setGamePhase when newPhase == INITIALS
+    newEntryRank: -1, // where the last initials entry landed in the leaderboard
+
+    teabags: 3, // spare lives
+    extraTeabagScore: 10000, // a teabag is awarded every this many points
+    nextExtraTeabag: 10000,
     knives: 3,
     score: 0,
     
     knifeThrowCooldown: KNIFE_COOLDOWN_FRAMES, // don't start at 0 because it can waste a knife on start
+    powerUps: {}, // ticks left of each of the POWER_UPS the player has going
+
+    multiplier: 1, // what points are multiplied by (rounded down), see scoreLambKill()
+    comboKills: 0, // lambs killed in a row, each within COMBO_WINDOW_TICKS of the last
+    comboTimer: 0, // ticks left to keep the combo going
+    flawlessKills: 0, // lambs killed since the player last got hurt
+
+    boss: null, // the Boss being fought, if there is one. Levels hold back lambs, broccoli and onions meanwhile.
+    nextBossScore: BOSS_FIRST_SCORE, // the endless level's next boss comes once the score passes this
+    bossesDefeated: 0,
+
+    campaign: null, // set in setGamePhase when newPhase == RUNNING, see parseCampaign()
+    levelIndex: 0, // which of the campaign's levels is being played
+    levelFrame: 0, // ticks since the level started
+    spawnTimers: [], // ticks until each of the level's spawners goes off next
+    wavesFired: [], // which of the level's waves have been spawned
+    queuedSpawns: [], // the rest of "row" spawns: [{ ticks: until it spawns, spec: what to spawn }]
 
-    lamb: null,
     lambSpeed: 1.5,
+    lambDodge: 0, // 0..1, see LAMB_DODGE_SPEED
+    lambFlee: 0, // 0..1, see LAMB_FLEE_BOOST
+    herdFrequency: 3000,
 
     roadSpeed: 3,
 
     broccoliFrequency: 40,
-    nextBroccoli: 40,
-    
     onionFrequency: 200,
-    minOnionScore: 5000,
-    nextOnion: 0,
     onionSpeed: 4,
-
     knifeFrequency: 400,
-    nextKnife: 400,
-    
+    powerUpFrequency: 1500,
     roadLineFrequency: 100,
-    nextRoadLine: 0,
-
     sidewalkFrequency: 41,
-    nextSidewalk: 0,
 
-    gameOverMusicDelay: 50,
+    gameOverMusicDelay: 500,
 }
-// deep copy initial state
-// this won't be used for much -- setGameState reinits it on the way in to PHASE_RUNNING
-let gamestate = JSON.parse(JSON.stringify(INITIAL_GAMESTATE));
 
-let hiScore = 0;
-if (window.localStorage && localStorage.getItem(HISCORE_STORAGE_KEY)) {
-    hiScore = parseInt(localStorage.getItem(HISCORE_STORAGE_KEY));
+/*
+ * How the tunables in the game state change over the course of a run. Each curve
+ * is driven `by` either the "score" or the "seconds" since the run started, and its
+ * `points` are [input, value] keyframes. Between keyframes the value is interpolated
+ * linearly; before the first and after the last it stays put. Curves marked `round`
+ * are frame counts and get rounded to whole frames.
+ * 
+ * applyDifficulty() sets these every tick, so the values in INITIAL_GAMESTATE only
+ * matter for tunables that don't have a curve.
+ */
+const DIFFICULTY_CURVES = {
+    lambSpeed: { by: "score", points: [[0, 1.5], [30000, 2.5]] },
+    lambDodge: { by: "score", points: [[0, 0], [3000, 0.25], [40000, 1]] },
+    lambFlee: { by: "score", points: [[5000, 0], [50000, 1]] },
+    herdFrequency: { by: "score", round: true, points: [[15000, 3000], [60000, 1000]] },
+    roadSpeed: { by: "seconds", points: [[0, 3], [120, 4], [300, 5]] },
+    broccoliFrequency: { by: "seconds", round: true, points: [[0, 40], [120, 28], [300, 18]] },
+    onionFrequency: { by: "score", round: true, points: [[5000, 200], [30000, 120], [80000, 60]] },
+    onionSpeed: { by: "score", points: [[5000, 4], [80000, 6]] },
+    knifeFrequency: { by: "seconds", round: true, points: [[0, 400], [300, 550]] },
 }
 
-function setGamePhase(newPhase) {
-    switch (newPhase) {
-        case PHASE_ATTRACT:
-            silenceAllSprites();
-            setMusic("attractmusic");
-            gamestate.phase = newPhase;
-            gamestate.sprites = [];
-            gamestate.fgsprites = [];
-            gamestate.sprites.push(new TitleScreen());
-            gamestate.sprites.push(new ClickToStart());
-            gamestate.sprites.push(new Credits());
-            gamestate.frameDelay = 100;
-            break;
-        case PHASE_RUNNING:
-            setMusic("runningmusic");
-            gamestate = JSON.parse(JSON.stringify(INITIAL_GAMESTATE));
-            gamestate.phase = newPhase;
-            gamestate.player = new Player();
-            gamestate.sprites.push(gamestate.player);
-            break;
-        case PHASE_GAME_OVER:
-            silenceAllSprites();
-            setMusic(null); // will transition to gameover music after SFX ends
-            gamestate.phase = newPhase;
-            gamestate.fgsprites.push(new GameOverMessage());
-            gamestate.frameDelay = 100;
+/* Scenery is spaced by distance, so it spawns more often as the road speeds up */
+const ROAD_LINE_SPACING = 300;
+const SIDEWALK_SPACING = 123;
 
-            if (gamestate.score > hiScore) {
-                hiScore = gamestate.score;
-                gamestate.fgsprites.push(new NewHiScore());
-                if (localStorage) {
-                    localStorage.setItem(HISCORE_STORAGE_KEY, "" + gamestate.score);
-                }
-            }
+
+/********************
+ * levels
+ ********************/
+
+/*
+ * What a level is made of. A campaign is a list of levels played one after another:
+ * ```
+ * {
+ *   levels: [{
+ *     name: "THE FARM",
+ *     until: { seconds: 90 },  // or { score: 20000 }. the last level never ends
+ *     difficulty: { roadSpeed: {...} },  // curves that replace DIFFICULTY_CURVES' ones
+ *
+ *     // spawners go off over and over, every so many ticks
+ *     spawners: [
+ *       { type: "lamb", max: 1 },  // whenever there are fewer than max of them
+ *       { type: "broccoli", every: "broccoliFrequency", start: 40 },  // a number, or a tunable's name
+ *       { type: "onion", every: 200, minScore: 5000 },  // only counts down once score > minScore
+ *       { type: "boss", max: 1, minScore: "nextBossScore" },  // minScore can be a tunable's name too
+ *     ],
+ *
+ *     // waves go off once, when the level has gone on for so long or the score gets high enough
+ *     waves: [
+ *       { at: { seconds: 20 }, spawn: [{ type: "broccoli", pattern: "wall", gaps: [1] }] },
+ *       { at: { score: 5000 }, spawn: [{ type: "lamb", lane: [0, 3], speed: 3 }] },
+ *       { at: { score: 8000 }, spawn: [{ type: "boss" }] },
+ *     ],
+ *   }],
+ * }
+ * ```
+ * Spawners and wave entries say where their sprites go with one of
+ *   y: a y coordinate, or a list of them (one sprite each)
+ *   lane: one of the LANE_COUNT lanes, top to bottom from 0, or a list of them
+ *   pattern: "wall" fills every lane but the `gaps` ones top to bottom, a sprite every
+ *     `spacing` pixels (default 32). "row" is `count` sprites one behind the other along
+ *     the same line, `interval` ticks apart (default 20). "herd" is `count` lambs
+ *     (default 5, at most 17) in a V that moves as one.
+ * and otherwise leave it up to the sprite. `speed` overrides how fast the sprites move.
+ *
+ * While there's a boss to fight, the hostile types' spawners stop counting down, and
+ * waves and rows with any of them in wait until it's beaten. See heldBack().
+ */
+
+const LANE_COUNT = 4;
+const LANE_HEIGHT = PLAYFIELD_HEIGHT / LANE_COUNT;
+const DEFAULT_SPAWN_SPACING = 32;
+const DEFAULT_ROW_INTERVAL = 20;
+
+/*
+ * What level scripts can spawn, which of the game state's sprite lists it goes in,
+ * and whether it holds off during boss fights
+ */
+const SPAWN_TYPES = {
+    lamb: { layer: "sprites", create: () => spawnSprite(Lamb), hostile: true },
+    broccoli: { layer: "sprites", create: () => spawnSprite(Broccoli), hostile: true },
+    onion: { layer: "sprites", create: () => spawnSprite(Onion), sound: "onionthrow", hostile: true },
+    boss: { layer: "sprites", create: () => startBossFight() },
+    knife: { layer: "sprites", create: () => spawnSprite(Knife, Knife.STATE_GROUNDED) },
+    powerUp: { layer: "sprites", create: () => spawnSprite(PowerUp) },
+    roadLine: { layer: "bgsprites", create: () => spawnSprite(RoadLine, 0) },
+    sidewalk: { layer: "bgsprites", create: () => spawnSprite(Sidewalk) },
+};
+
+const SPAWN_PATTERNS = ["wall", "row", "herd"];
+
+/* The game as it's always been: everything keeps coming, faster and faster */
+const ENDLESS_LEVEL = {
+    name: "ENDLESS",
+    spawners: [
+        { type: "lamb", max: 1 },
+        { type: "broccoli", every: "broccoliFrequency", start: 40 },
+        { type: "roadLine", every: "roadLineFrequency", start: 0, y: ROAD_LINE_YS },
+        { type: "sidewalk", every: "sidewalkFrequency", start: 0 },
+        { type: "onion", every: "onionFrequency", start: 0, minScore: 5000 },
+        { type: "knife", every: "knifeFrequency", start: 400 },
+        { type: "powerUp", every: "powerUpFrequency", start: 1500 },
+        { type: "lamb", pattern: "herd", every: "herdFrequency", minScore: 15000 },
+        { type: "boss", max: 1, minScore: "nextBossScore" },
+    ],
+};
+const ENDLESS_CAMPAIGN = parseCampaign({ levels: [ENDLESS_LEVEL] });
+
+/** The campaign new runs play. See setCampaign(). */
+let campaign = ENDLESS_CAMPAIGN;
+
+/**
+ * Makes new runs play the given campaign (from parseCampaign()), or the endless
+ * game for null.
+ */
+function setCampaign(newCampaign) {
+    campaign = newCampaign || ENDLESS_CAMPAIGN;
+}
+
+/**
+ * Reads a campaign file, or a file with just one level in it. Fills in
+ * everything that was left out.
+ * @param {string | object} json the file's text, or what it parsed to
+ * @throws Error saying what's wrong if it isn't a campaign this game can play
+ */
+function parseCampaign(json) {
+    let data = typeof json === "string" ? JSON.parse(json) : json;
+    if (data == null || typeof data !== "object") {
+        throw new Error("Not a campaign or level file");
+    }
+    let levels = Array.isArray(data.levels) ? data.levels : [data];
+    if (levels.length === 0) {
+        throw new Error("Campaign has no levels");
+    }
+    return { levels: levels.map((level, i) => parseLevel(level, "STAGE " + (i + 1))) };
+}
+
+function parseLevel(level, defaultName) {
+    let name = typeof level.name === "string" ? level.name : defaultName;
+    const fail = message => {
+        throw new Error("Level " + name + ": " + message);
+    };
+    if (level.until !== undefined && !isCondition(level.until)) {
+        fail("until needs seconds or score");
+    }
+    let difficulty = Object.assign({}, DIFFICULTY_CURVES);
+    for (var tunable of Object.keys(level.difficulty || {})) {
+        let curve = level.difficulty[tunable];
+        if (typeof INITIAL_GAMESTATE[tunable] !== "number") {
+            fail("no tunable called " + tunable);
+        }
+        if (!Array.isArray(curve.points) || curve.points.length === 0 || !["score", "seconds"].includes(curve.by)) {
+            fail("the " + tunable + " curve needs points and to be by score or seconds");
+        }
+        difficulty[tunable] = curve;
+    }
+
+    let spawners = (level.spawners || []).map(spawner => {
+        checkSpawn(spawner, fail);
+        if (spawner.every !== undefined && typeof spawner.every !== "number" &&
+                typeof INITIAL_GAMESTATE[spawner.every] !== "number") {
+            fail("every must be a number of ticks or a tunable's name, not " + spawner.every);
+        }
+        if (spawner.every === undefined && spawner.max === undefined) {
+            fail("a " + spawner.type + " spawner needs every or max");
+        }
+        if (spawner.minScore !== undefined && typeof spawner.minScore !== "number" &&
+                typeof INITIAL_GAMESTATE[spawner.minScore] !== "number") {
+            fail("minScore must be a number or a tunable's name, not " + spawner.minScore);
+        }
+        return spawner;
+    });
+    let waves = (level.waves || []).map(wave => {
+        if (!isCondition(wave.at) || !Array.isArray(wave.spawn)) {
+            fail("waves need at (seconds or score) and a list to spawn");
+        }
+        wave.spawn.forEach(spawn => checkSpawn(spawn, fail));
+        return wave;
+    });
+
+    return {
+        name: name,
+        until: level.until,
+        difficulty: difficulty,
+        spawners: spawners,
+        waves: waves,
+    };
+}
+
+function isCondition(condition) {
+    return condition != null && (typeof condition.seconds === "number" || typeof condition.score === "number");
+}
+
+function checkSpawn(spawn, fail) {
+    if (!(spawn.type in SPAWN_TYPES)) {
+        fail("can't spawn " + JSON.stringify(spawn.type));
+    }
+    if (spawn.pattern !== undefined && !SPAWN_PATTERNS.includes(spawn.pattern)) {
+        fail("no spawn pattern called " + JSON.stringify(spawn.pattern));
+    }
+    if (spawn.pattern === "row" && !(spawn.count > 0)) {
+        fail("a row needs a count");
+    }
+    if (spawn.pattern === "herd" && spawn.type !== "lamb") {
+        fail("only lambs come in herds");
+    }
+    if (spawn.type === "boss" && spawn.pattern !== undefined) {
+        fail("bosses come one at a time");
+    }
+    if (spawn.pattern === "herd" && spawn.count !== undefined &&
+            !(Number.isInteger(spawn.count) && spawn.count >= 1 && spawn.count <= MAX_HERD_SIZE)) {
+        fail("a herd is 1 to " + MAX_HERD_SIZE + " lambs, not " + spawn.count);
+    }
+}
+
+/**
+ * Gets the given level of the current campaign going, from its first tick.
+ */
+function startLevel(index) {
+    let level = gamestate.campaign.levels[index];
+    gamestate.levelIndex = index;
+    gamestate.levelFrame = 0;
+    gamestate.spawnTimers = level.spawners.map(spawner =>
+        spawner.start !== undefined ? spawner.start : levelValue(spawner.every));
+    gamestate.wavesFired = level.waves.map(() => false);
+}
+
+/**
+ * Does what the current level says should happen this tick. Called once per
+ * tick, after the difficulty has been applied.
+ */
+function runLevel() {
+    let campaign = gamestate.campaign;
+    let level = campaign.levels[gamestate.levelIndex];
+
+    for (var i = 0; i < level.spawners.length; i++) {
+        let spawner = level.spawners[i];
+        if (heldBack(spawner)) {
+            continue;
+        }
+        if (spawner.minScore !== undefined && gamestate.score <= levelValue(spawner.minScore)) {
+            continue;
+        }
+        if (spawner.every !== undefined) {
+            if (gamestate.spawnTimers[i]-- != 0) {
+                continue;
+            }
+            gamestate.spawnTimers[i] = levelValue(spawner.every);
+        }
+        if (spawner.max === undefined || countSpawned(spawner.type) < spawner.max) {
+            spawn(spawner);
+        }
+    }
+
+    for (var i = 0; i < level.waves.length; i++) {
+        if (!gamestate.wavesFired[i] && conditionMet(level.waves[i].at) && !level.waves[i].spawn.some(heldBack)) {
+            gamestate.wavesFired[i] = true;
+            level.waves[i].spawn.forEach(spawn);
+        }
+    }
+
+    let due = gamestate.queuedSpawns.filter(queued => !heldBack(queued.spec) && --queued.ticks <= 0);
+    gamestate.queuedSpawns = gamestate.queuedSpawns.filter(queued => queued.ticks > 0);
+    due.forEach(queued => spawn(queued.spec));
+
+    gamestate.levelFrame++;
+    let isLastLevel = gamestate.levelIndex === campaign.levels.length - 1;
+    if (!isLastLevel && level.until !== undefined && conditionMet(level.until)) {
+        startLevel(gamestate.levelIndex + 1);
+        gamestate.fgsprites.push(new Banner(campaign.levels[gamestate.levelIndex].name));
+    }
+}
+
+/**
+ * A spawner's every or minScore: the number it says, or the tunable it names.
+ */
+function levelValue(value) {
+    return typeof value === "string" ? gamestate[value] : value;
+}
+
+/**
+ * Whether a spawner or wave entry has to wait for the boss fight to be over.
+ */
+function heldBack(spec) {
+    return gamestate.boss !== null && SPAWN_TYPES[spec.type].hostile === true;
+}
+
+function conditionMet(condition) {
+    if (condition.seconds !== undefined) {
+        return gamestate.levelFrame >= condition.seconds * TICKS_PER_SECOND;
+    }
+    return gamestate.score >= condition.score;
+}
+
+function countSpawned(type) {
+    let count = 0;
+    for (var s of gamestate[SPAWN_TYPES[type].layer]) {
+        if (s.spawnType === type) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Puts the sprites a spawner or wave entry describes on the playfield.
+ */
+function spawn(spec) {
+    let type = SPAWN_TYPES[spec.type];
+    let herd = spec.pattern === "herd" ? { members: [], frame: -1, speed: 0, dy: 0 } : null;
+    for (var slot of spawnSlots(spec)) {
+        let sprite = type.create();
+        sprite.spawnType = spec.type;
+        if (herd) {
+            sprite.herd = herd;
+            herd.members.push(sprite);
+        }
+        if (slot.x !== undefined) {
+            sprite.x = slot.x;
+        }
+        if (slot.lane !== undefined) {
+            sprite.y = slot.lane * LANE_HEIGHT + (LANE_HEIGHT - sprite.h) / 2;
+        } else if (slot.y !== undefined) {
+            sprite.y = slot.y;
+        }
+        if (spec.speed !== undefined) {
+            sprite.setSpeed(spec.speed);
+        }
+        gamestate[type.layer].push(sprite);
+        if (type.sound) {
+            playSound(type.sound, sprite);
+        }
+
+        if (spec.pattern === "row") {
+            // the rest of the row follow along the same line
+            let interval = spec.interval || DEFAULT_ROW_INTERVAL;
+            for (var i = 1; i < spec.count; i++) {
+                gamestate.queuedSpawns.push({
+                    ticks: i * interval,
+                    spec: { type: spec.type, y: sprite.y, speed: spec.speed },
+                });
+            }
+        }
+    }
+    if (herd) {
+        placeHerd(herd);
+    }
+}
+
+/**
+ * Moves a just-spawned herd, laid out around y = 0, to somewhere it fits on the playfield.
+ */
+function placeHerd(herd) {
+    let top = Infinity, bottom = -Infinity;
+    for (var lamb of herd.members) {
+        top = Math.min(top, lamb.y);
+        bottom = Math.max(bottom, lamb.y + lamb.h);
+    }
+    let shift = random() * (PLAYFIELD_HEIGHT - (bottom - top)) - top;
+    for (var lamb of herd.members) {
+        lamb.y += shift;
+    }
+}
+
+/**
+ * Where the sprites of a spawn go: a list of { lane } or { y } (with an x for
+ * herds, whose y is from the leader until placeHerd()), or one {} for wherever
+ * the sprite puts itself.
+ */
+function spawnSlots(spec) {
+    if (spec.pattern === "herd") {
+        // a V pointing the way they run: the leader, then pairs behind above and below
+        let count = spec.count || DEFAULT_HERD_SIZE;
+        let slots = [];
+        for (var i = 0; i < count; i++) {
+            let back = Math.ceil(i / 2);
+            let side = i % 2 === 1 ? -1 : 1;
+            slots.push({ x: PLAYFIELD_WIDTH + back * HERD_SPACING, y: side * back * HERD_SPACING });
+        }
+        return slots;
+    }
+    if (spec.pattern === "wall") {
+        let spacing = spec.spacing || DEFAULT_SPAWN_SPACING;
+        let slots = [];
+        let gaps = spec.gaps || [];
+        for (var lane = 0; lane < LANE_COUNT; lane++) {
+            if (gaps.includes(lane)) {
+                continue;
+            }
+            for (var y = lane * LANE_HEIGHT; y < (lane + 1) * LANE_HEIGHT; y += spacing) {
+                slots.push({ y: y });
+            }
+        }
+        return slots;
+    }
+    if (spec.lane !== undefined) {
+        return [].concat(spec.lane).map(lane => ({ lane: lane }));
+    }
+    if (spec.y !== undefined) {
+        return [].concat(spec.y).map(y => ({ y: y }));
+    }
+    return [{}];
+}
+// deep copy initial state
+// this won't be used for much -- setGameState reinits it on the way in to PHASE_RUNNING
+let gamestate = JSON.parse(JSON.stringify(INITIAL_GAMESTATE));
+
+
+/********************
+ * power-ups
+ ********************/
+
+/*
+ * What the PowerUp pickups can give the player, and for how many ticks. Their
+ * effects are wherever the game checks hasPowerUp() for them.
+ */
+const POWER_UPS = {
+    speed: { ticks: 800, symbol: ">", color: "#3a8fd8" }, // the teapot moves SPEED_BOOST times faster
+    spread: { ticks: 1000, symbol: "W", color: "#d8a23a" }, // each throw is three knives, fanned out
+    shield: { ticks: 1500, symbol: "O", color: "#b0b0b0" }, // absorbs the next broccoli or onion
+    magnet: { ticks: 1000, symbol: "U", color: "#c83a3a" }, // pulls grounded knives in
+};
+
+const SPEED_BOOST = 1.6;
+const SHIELD_RADIUS = 20;
+const MAGNET_RADIUS = 160;
+const MAGNET_PULL = 2; // pixels per tick, on top of the road moving
+const POWER_UP_WARNING_TICKS = 200; // a power-up's indicator blinks when it has this little time left
+
+/* cos and sin of the angle between the knives of a spread throw (15 degrees), written
+   out rather than worked out so that every browser throws them the same way */
+const SPREAD_COS = 0.9659258262890683;
+const SPREAD_SIN = 0.25881904510252074;
+
+function hasPowerUp(name) {
+    return name in gamestate.powerUps;
+}
+
+/**
+ * Gives the player the named power-up for its full time, even if they already had it.
+ */
+function startPowerUp(name) {
+    gamestate.powerUps[name] = POWER_UPS[name].ticks;
+}
+
+function endPowerUp(name) {
+    delete gamestate.powerUps[name];
+}
+
+/**
+ * Counts down the power-ups the player has, ending the ones that run out. Called once per tick.
+ */
+function runPowerUps() {
+    for (var name of Object.keys(gamestate.powerUps)) {
+        if (--gamestate.powerUps[name] <= 0) {
+            endPowerUp(name);
+        }
+    }
+}
+
+/**
+ * The directions of a spread throw's knives: the given one first, then that turned a little either way.
+ */
+function spreadDirections([dx, dy]) {
+    return [
+        [dx, dy],
+        [dx * SPREAD_COS + dy * SPREAD_SIN, dy * SPREAD_COS - dx * SPREAD_SIN],
+        [dx * SPREAD_COS - dy * SPREAD_SIN, dy * SPREAD_COS + dx * SPREAD_SIN],
+    ];
+}
+
+/**
+ * Draws the round badge that stands for a power-up, centred on (cx, cy).
+ */
+function drawPowerUpBadge(/** @type {CanvasRenderingContext2D} */ ctx, name, cx, cy, radius) {
+    ctx.save();
+    ctx.fillStyle = POWER_UPS[name].color;
+    ctx.strokeStyle = "white";
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius - 1, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+    messageFont.draw(ctx, POWER_UPS[name].symbol, cx, cy - messageFont.h / 2, Text.CENTER);
+}
+
+
+/********************
+ * bosses
+ ********************/
+
+const BOSS_NAME = "GIANT BROCCOLI";
+const BOSS_SCALE = 3; // times the size of a broccoli
+const BOSS_X = PLAYFIELD_WIDTH - IMAGE_ASSETS["Broccoli.png"][0] * BOSS_SCALE - 16; // where it stops coming on and starts fighting
+const BOSS_SPEED = 1; // pixels per tick, coming on and bobbing up and down
+const BOSS_HEALTH = 12; // knives it takes to beat the first one...
+const BOSS_EXTRA_HEALTH = 6; // ...and how many more each one after that takes
+const BOSS_HURT_FRAMES = 24;
+const BOSS_ATTACK_INTERVAL = 150; // ticks between attacks at full health; half that when nearly beaten
+const BOSS_SHOT_SPEED = 3;
+
+/* The ways the boss throws onions, taken in turn */
+const BOSS_ATTACKS = [
+    // a fan of three at the teapot
+    function volley(boss) {
+        for (var direction of spreadDirections(bossAim(boss))) {
+            throwBossOnion(boss, direction, BOSS_SHOT_SPEED);
+        }
+    },
+    // all the way round
+    function ring(boss) {
+        const d = Math.SQRT1_2;
+        for (var direction of [[1, 0], [d, d], [0, 1], [-d, d], [-1, 0], [-d, -d], [0, -1], [d, -d]]) {
+            throwBossOnion(boss, direction, BOSS_SHOT_SPEED * 0.75);
+        }
+    },
+    // three in a line at the teapot, the first fastest, so they arrive one after another
+    function burst(boss) {
+        let direction = bossAim(boss);
+        for (var speed of [1.6, 1.3, 1]) {
+            throwBossOnion(boss, direction, BOSS_SHOT_SPEED * speed);
+        }
+    },
+];
+
+/**
+ * Brings on a boss, for spawn() to put on the playfield. Lambs, broccoli and
+ * onions hold off until it's beaten.
+ */
+function startBossFight() {
+    let boss = new Boss();
+    gamestate.boss = boss;
+    gamestate.fgsprites.push(new Banner(BOSS_NAME + "!"));
+    return boss;
+}
+
+function defeatBoss(/** @type {Boss} */ boss) {
+    boss.defeated = true;
+    playSound("schwing", boss);
+    gamestate.bossesDefeated++;
+    scorePoints(BOSS_POINTS, boss);
+    if (gamestate.boss === boss) {
+        gamestate.boss = null;
+    }
+    gamestate.nextBossScore = gamestate.score + BOSS_SCORE_INTERVAL;
+}
+
+/**
+ * The direction from the boss to the teapot, as a unit vector.
+ */
+function bossAim(/** @type {Boss} */ boss) {
+    let player = gamestate.player;
+    let dx = (player.x + player.hitbox.x + player.hitbox.w / 2) - (boss.x + boss.hitbox.x + boss.hitbox.w / 2);
+    let dy = (player.y + player.hitbox.y + player.hitbox.h / 2) - (boss.y + boss.hitbox.y + boss.hitbox.h / 2);
+    let length = Math.sqrt(dx * dx + dy * dy);
+    return length === 0 ? [-1, 0] : [dx / length, dy / length];
+}
+
+function throwBossOnion(/** @type {Boss} */ boss, [dx, dy], speed) {
+    let cx = boss.x + boss.hitbox.x + boss.hitbox.w / 2;
+    let cy = boss.y + boss.hitbox.y + boss.hitbox.h / 2;
+    gamestate.sprites.push(spawnSprite(OnionShot, cx, cy, dx * speed, dy * speed));
+}
+
+/**
+ * Draws the boss's name and how much health it has left along the bottom of the playfield.
+ */
+function renderBossHealth(/** @type {CanvasRenderingContext2D} */ ctx, /** @type {Boss} */ boss) {
+    const width = 300;
+    let x = PLAYFIELD_WIDTH / 2 - width / 2;
+    let y = PLAYFIELD_HEIGHT - 20;
+    messageFont.draw(ctx, BOSS_NAME, PLAYFIELD_WIDTH / 2, y - messageFont.h - 4, Text.CENTER);
+    ctx.save();
+    ctx.fillStyle = "#c83a3a";
+    ctx.fillRect(x, y, width * boss.health / boss.maxHealth, 8);
+    ctx.strokeStyle = "white";
+    ctx.strokeRect(x + 0.5, y + 0.5, width - 1, 7);
+    ctx.restore();
+}
+
+
+/********************
+ * leaderboard
+ ********************/
+
+const LEADERBOARD_STORAGE_KEY = "leaderboard_1";
+const LEADERBOARD_SIZE = 10;
+
+/**
+ * The local top scores, best first. Duration is in seconds.
+ * ```
+ * [{ initials: "JOF", score: 12300, date: "2022-05-01", duration: 312 }, ...]
+ * ```
+ */
+let leaderboard = loadLeaderboard();
+let hiScore = leaderboard.length ? leaderboard[0].score : 0;
+
+function loadLeaderboard() {
+    if (typeof localStorage === "undefined") {
+        return [];
+    }
+    let saved = localStorage.getItem(LEADERBOARD_STORAGE_KEY);
+    if (saved) {
+        try {
+            return JSON.parse(saved);
+        } catch (e) {
+            console.log("Ignoring saved leaderboard:", e);
+            return [];
+        }
+    }
+
+    // carry the old single hi score over into the table
+    let table = [];
+    let oldHiScore = parseInt(localStorage.getItem(HISCORE_STORAGE_KEY));
+    if (oldHiScore > 0) {
+        table.push({ initials: "???", score: oldHiScore, date: null, duration: null });
+        localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(table));
+        localStorage.removeItem(HISCORE_STORAGE_KEY);
+    }
+    return table;
+}
+
+function qualifiesForLeaderboard(score) {
+    if (score <= 0) {
+        return false;
+    }
+    return leaderboard.length < LEADERBOARD_SIZE || score > leaderboard[leaderboard.length - 1].score;
+}
+
+/**
+ * Where a score would go in the leaderboard (below any equal scores), from 0 at the top.
+ * Can be off the bottom; see qualifiesForLeaderboard().
+ */
+function leaderboardPosition(score) {
+    let rank = leaderboard.findIndex(e => score > e.score);
+    return rank === -1 ? leaderboard.length : rank;
+}
+
+/**
+ * Puts entry into the leaderboard (below any equal scores) and saves it.
+ * @returns the entry's position in the table, or -1 if it didn't make it
+ */
+function addToLeaderboard(entry) {
+    let rank = leaderboardPosition(entry.score);
+    leaderboard.splice(rank, 0, entry);
+    leaderboard.length = Math.min(leaderboard.length, LEADERBOARD_SIZE);
+    hiScore = leaderboard[0].score;
+    if (typeof localStorage !== "undefined") {
+        try {
+            localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(leaderboard));
+        } catch (e) {
+            console.log("Couldn't save leaderboard:", e);
+        }
+    }
+    return rank < LEADERBOARD_SIZE ? rank : -1;
+}
+
+/********************
+ * remote leaderboard
+ ********************/
+
+/* Scores that haven't made it to the remote leaderboard yet */
+const SCORE_QUEUE_STORAGE_KEY = "scoreQueue_1";
+
+/* How often queued scores get another try, in milliseconds */
+const SCORE_RETRY_MS = 60000;
+
+/* Most runs kept waiting for the remote leaderboard. Each carries its replay, so
+   past this the oldest are dropped rather than filling up localStorage. */
+const MAX_QUEUED_SCORES = 10;
+
+/**
+ * Talks to a leaderboard server over HTTP:
+ * ```
+ * POST {url}/scores            body is a finished run (see setGamePhase(PHASE_GAME_OVER)) plus initials
+ * GET  {url}/scores?limit=10   answers with entries shaped like the local leaderboard's
+ * ```
+ * Anything else with submit(run) and fetchTop(count) methods that return promises
+ * can stand in for it (see setRemoteLeaderboard).
+ */
+class HttpLeaderboard {
+    constructor(url) {
+        this.url = url.replace(/\/$/, "");
+    }
+
+    /**
+     * @throws Error if the score didn't get there. It has permanent set if the
+     *   server refused it, so there's no point sending it again.
+     */
+    async submit(run) {
+        const response = await fetch(this.url + "/scores", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(run),
+        });
+        if (!response.ok) {
+            let error = new Error("Score submission failed: HTTP " + response.status);
+            error.permanent = response.status >= 400 && response.status < 500;
+            throw error;
+        }
+    }
+
+    async fetchTop(count) {
+        const response = await fetch(this.url + "/scores?limit=" + count);
+        if (!response.ok) {
+            throw new Error("Fetching scores failed: HTTP " + response.status);
+        }
+        return await response.json();
+    }
+}
+
+/** Where finished runs get sent, or null to keep scores local */
+let remoteLeaderboard = null;
+
+/** The remote leaderboard's top scores as of the last fetch, best first */
+let remoteScores = [];
+
+/** Runs waiting to be submitted, oldest first */
+let scoreQueue = loadScoreQueue();
+
+/** Set while flushScoreQueue() is at work, so two of them don't send the same run twice */
+let flushingScoreQueue = false;
+
+/**
+ * Switches to a different remote leaderboard (or none, for null) and sends it
+ * anything that's queued up.
+ */
+function setRemoteLeaderboard(adapter) {
+    remoteLeaderboard = adapter;
+    remoteScores = [];
+    flushScoreQueue();
+}
+
+function loadScoreQueue() {
+    if (typeof localStorage === "undefined" || !localStorage.getItem(SCORE_QUEUE_STORAGE_KEY)) {
+        return [];
+    }
+    try {
+        return JSON.parse(localStorage.getItem(SCORE_QUEUE_STORAGE_KEY));
+    } catch (e) {
+        console.log("Ignoring saved score queue:", e);
+        return [];
+    }
+}
+
+/**
+ * Keeps the queue for the next page load, if there's room. If there isn't, it's
+ * still sent from memory while this page is open.
+ */
+function saveScoreQueue() {
+    if (typeof localStorage !== "undefined") {
+        try {
+            localStorage.setItem(SCORE_QUEUE_STORAGE_KEY, JSON.stringify(scoreQueue));
+        } catch (e) {
+            console.log("Couldn't save score queue:", e);
+        }
+    }
+}
+
+/**
+ * Queues a run for the remote leaderboard and tries to send it right away.
+ * Does nothing when there's no remote leaderboard.
+ */
+function submitRun(run) {
+    if (remoteLeaderboard == null) {
+        return;
+    }
+    scoreQueue.push(run);
+    if (scoreQueue.length > MAX_QUEUED_SCORES) {
+        // the oldest go, bar one that's being sent right now
+        let oldest = flushingScoreQueue ? 1 : 0;
+        scoreQueue.splice(oldest, scoreQueue.length - MAX_QUEUED_SCORES);
+    }
+    saveScoreQueue();
+    flushScoreQueue();
+}
+
+/**
+ * Sends queued runs to the remote leaderboard, oldest first. Stops at the first
+ * one that fails; it and the rest stay queued for the next try.
+ */
+async function flushScoreQueue() {
+    if (remoteLeaderboard == null || flushingScoreQueue) {
+        return;
+    }
+    flushingScoreQueue = true;
+    let sent = false;
+    try {
+        while (scoreQueue.length > 0) {
+            try {
+                await remoteLeaderboard.submit(scoreQueue[0]);
+                sent = true;
+            } catch (e) {
+                if (!e.permanent) {
+                    throw e;
+                }
+                console.log("Leaderboard refused score, dropping it:", e);
+            }
+            scoreQueue.shift();
+            saveScoreQueue();
+        }
+    } catch (e) {
+        console.log("Couldn't submit score, will retry:", e);
+    } finally {
+        flushingScoreQueue = false;
+    }
+    if (sent || remoteScores.length === 0) {
+        await refreshRemoteScores();
+    }
+}
+
+/**
+ * Fetches the remote top scores for the attract screen. Keeps the ones we
+ * had if that doesn't work.
+ */
+async function refreshRemoteScores() {
+    if (remoteLeaderboard == null) {
+        return;
+    }
+    try {
+        remoteScores = await remoteLeaderboard.fetchTop(LEADERBOARD_SIZE);
+    } catch (e) {
+        console.log("Couldn't fetch remote scores:", e);
+    }
+}
+
+/* Initials are picked arcade style, by cycling through these */
+const INITIALS_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ";
+const INITIALS_LENGTH = 3;
+
+/* Stick deflection that counts as pushing a direction when picking initials */
+const INITIALS_STICK_THRESHOLD = 0.5;
+
+/**
+ * Works the initials entry from the controls: up/down change the current
+ * letter, left/right move between letters and fire confirms the letter.
+ * Each press only counts once, however long it's held.
+ */
+function enterInitials(inputs) {
+    let entry = gamestate.initials;
+    let mask = encodeInputs(inputs)[0];
+    if (inputs.moveY < -INITIALS_STICK_THRESHOLD) mask |= INPUT_BITS.up;
+    if (inputs.moveY > INITIALS_STICK_THRESHOLD) mask |= INPUT_BITS.down;
+    if (inputs.moveX < -INITIALS_STICK_THRESHOLD) mask |= INPUT_BITS.left;
+    if (inputs.moveX > INITIALS_STICK_THRESHOLD) mask |= INPUT_BITS.right;
+
+    let pressed = mask & ~entry.heldMask;
+    entry.heldMask = mask;
+    if (pressed & INPUT_BITS.up) changeInitial(1);
+    if (pressed & INPUT_BITS.down) changeInitial(-1);
+    if (pressed & INPUT_BITS.left) moveInitialsCursor(-1);
+    if (pressed & INPUT_BITS.right) moveInitialsCursor(1);
+    if (pressed & INPUT_BITS.fire) confirmInitial();
+}
+
+function changeInitial(delta) {
+    let entry = gamestate.initials;
+    let i = INITIALS_ALPHABET.indexOf(entry.letters[entry.cursor]);
+    i = (i + delta + INITIALS_ALPHABET.length) % INITIALS_ALPHABET.length;
+    entry.letters[entry.cursor] = INITIALS_ALPHABET[i];
+}
+
+function moveInitialsCursor(delta) {
+    let entry = gamestate.initials;
+    entry.cursor = Math.max(0, Math.min(entry.cursor + delta, INITIALS_LENGTH - 1));
+}
+
+/**
+ * Sets the letter under the cursor and moves on to the next one.
+ */
+function typeInitial(letter) {
+    let entry = gamestate.initials;
+    if (!INITIALS_ALPHABET.includes(letter)) {
+        return;
+    }
+    entry.letters[entry.cursor] = letter;
+    moveInitialsCursor(1);
+}
+
+/**
+ * Moves on to the next letter, or after the last one, puts the run in the
+ * leaderboard and shows it off.
+ */
+function confirmInitial() {
+    let entry = gamestate.initials;
+    if (entry.cursor < INITIALS_LENGTH - 1) {
+        entry.cursor++;
+        return;
+    }
+    let run = Object.assign({ initials: entry.letters.join("") }, gamestate.finishedRun);
+    // off this screen first, so the run can't be entered twice whatever happens next
+    setGamePhase(PHASE_ATTRACT);
+    let rank = -1;
+    if (qualifiesForLeaderboard(run.score)) {
+        rank = addToLeaderboard({
+            initials: run.initials,
+            score: run.score,
+            date: run.date,
+            duration: run.duration,
+        });
+    }
+    submitRun(run);
+    gamestate.newEntryRank = rank;
+    setAttractScreen(ATTRACT_LEADERBOARD);
+}
+
+/**
+ * Things that want to hear about what the simulation is doing (rendering, sound).
+ * The simulation never depends on any of them being present. Each observer
+ * implements any subset of:
+ * * ticked(gamestate) --> a tick just finished
+ * * soundStarted(sound) --> sound.name should start playing
+ * * soundStopped(sound) --> a sound previously passed to soundStarted should stop
+ * * musicChanged(name) --> background music should change to name (null means silence)
+ * * pauseChanged(paused) --> the game was paused or unpaused; all sound should freeze or carry on
+ */
+const observers = [];
+
+function addObserver(observer) {
+    observers.push(observer);
+}
+
+function removeObserver(observer) {
+    let i = observers.indexOf(observer);
+    if (i >= 0) {
+        observers.splice(i, 1);
+    }
+}
+
+function notify(eventName, ...args) {
+    for (var o of observers) {
+        if (o[eventName]) {
+            o[eventName](...args);
+        }
+    }
+}
+
+/**
+ * Asks the observers to play the named sound.
+ * @param {Sprite} sprite what's making the sound, so it can be heard where it is on
+ *  the playfield. Leave out for sounds that don't come from anywhere in particular.
+ * @returns a handle that can be passed to stopSound()
+ */
+function playSound(name, sprite) {
+    let sound = { name: name };
+    if (sprite !== undefined) {
+        sound.x = sprite.x + sprite.w / 2;
+    }
+    notify("soundStarted", sound);
+    return sound;
+}
+
+function stopSound(sound) {
+    notify("soundStopped", sound);
+}
+
+function changeMusic(name) {
+    notify("musicChanged", name);
+}
+
+/**
+ * Returns a pseudo-random number in [0, 1) from the game's seeded generator
+ * (mulberry32) and advances it. Game logic must use this rather than Math.random()
+ * so that the same seed and the same inputs always play out the same way.
+ */
+function random() {
+    let t = gamestate.rngState = (gamestate.rngState + 0x6D2B79F5) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Sets every tunable that has a difficulty curve to its value for the current
+ * score and time.
+ */
+function applyDifficulty(curves) {
+    for (var name of Object.keys(curves)) {
+        let curve = curves[name];
+        let input = curve.by === "score" ? gamestate.score : gamestate.frame / TICKS_PER_SECOND;
+        let value = interpolate(curve.points, input);
+        gamestate[name] = curve.round ? Math.round(value) : value;
+    }
+    gamestate.roadLineFrequency = Math.round(ROAD_LINE_SPACING / gamestate.roadSpeed);
+    gamestate.sidewalkFrequency = Math.round(SIDEWALK_SPACING / gamestate.roadSpeed);
+}
+
+/**
+ * Linear interpolation between [x, y] keyframes, which must be sorted by x.
+ */
+function interpolate(points, x) {
+    if (x <= points[0][0]) {
+        return points[0][1];
+    }
+    for (var i = 1; i < points.length; i++) {
+        let [x1, y1] = points[i];
+        if (x <= x1) {
+            let [x0, y0] = points[i - 1];
+            return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+/**
+ * Adds points to the score and pops them up over the sprite that earned them.
+ */
+function scorePoints(points, sprite) {
+    points *= Math.floor(gamestate.multiplier);
+    gamestate.score += points;
+    gamestate.fgsprites.push(spawnSprite(FloatingText, "" + points, sprite.x + sprite.w / 2, sprite.y));
+}
+
+/**
+ * Scores a lamb kill, building up the multiplier first: a kill soon after the last
+ * one carries on a combo, a knife that's already killed on its way through counts
+ * extra, and so does every so many kills without getting hurt.
+ * @param {Knife} knife the thrown knife that made the kill, or null
+ */
+function scoreLambKill(/** @type {Lamb} */ lamb, knife) {
+    let bonus = 0;
+    if (gamestate.comboTimer > 0) {
+        bonus += COMBO_CHAIN_BONUS;
+    }
+    if (knife && knife.kills > 1) {
+        bonus += COMBO_RICOCHET_BONUS;
+    }
+    gamestate.flawlessKills++;
+    if (gamestate.flawlessKills % COMBO_FLAWLESS_KILLS === 0) {
+        bonus += COMBO_FLAWLESS_BONUS;
+    }
+    gamestate.multiplier = Math.min(gamestate.multiplier + bonus, MAX_MULTIPLIER);
+    gamestate.comboKills++;
+    gamestate.comboTimer = COMBO_WINDOW_TICKS;
+    scorePoints(LAMB_POINTS, lamb);
+}
+
+/**
+ * Runs the combo window down, then lets the multiplier sink back to 1. Called once per tick.
+ */
+function runCombo() {
+    if (gamestate.comboTimer > 0) {
+        if (--gamestate.comboTimer === 0) {
+            gamestate.comboKills = 0;
+        }
+    } else {
+        gamestate.multiplier = Math.max(gamestate.multiplier - COMBO_DECAY, 1);
+    }
+}
+
+/**
+ * Getting hurt loses the combo and the multiplier.
+ */
+function breakCombo() {
+    gamestate.multiplier = 1;
+    gamestate.comboKills = 0;
+    gamestate.comboTimer = 0;
+    gamestate.flawlessKills = 0;
+}
+
+/**
+ * @param {string} newPhase the phase to switch to
+ * @param {number | undefined} seed for PHASE_RUNNING and PHASE_REPLAY: seeds the run's random
+ *  numbers. A fresh seed is picked if not given.
+ */
+function setGamePhase(newPhase, seed) {
+    if (gamestate.phase === PHASE_PAUSED && newPhase !== PHASE_PAUSED) {
+        notify("pauseChanged", false);
+    }
+    switch (newPhase) {
+        case PHASE_ATTRACT:
+            silenceAllSprites();
+            changeMusic("attractmusic");
+            gamestate.phase = newPhase;
+            gamestate.fgsprites = [];
+            gamestate.boss = null;
+            gamestate.powerUps = {};
+            gamestate.newEntryRank = -1;
+            setAttractScreen(ATTRACT_TITLE);
+            refreshRemoteScores();
+            break;
+        case PHASE_RUNNING:
+        case PHASE_REPLAY:
+            silenceAllSprites(); // a restart or a dropped file can end a run that's still going
+            changeMusic("runningmusic");
+            gamestate = JSON.parse(JSON.stringify(INITIAL_GAMESTATE));
+            gamestate.phase = newPhase;
+            if (seed === undefined) {
+                seed = Math.floor(Math.random() * 4294967296);
+            }
+            gamestate.seed = seed;
+            gamestate.rngState = seed | 0;
+            gamestate.player = new Player();
+            gamestate.sprites.push(gamestate.player);
+            gamestate.campaign = campaign;
+            startLevel(0);
+            if (newPhase === PHASE_RUNNING) {
+                gamestate.recording = { seed: seed, inputs: [] };
+                if (campaign !== ENDLESS_CAMPAIGN) {
+                    // the run can only be replayed with the same levels
+                    gamestate.recording.campaign = campaign;
+                }
+            }
+            break;
+        case PHASE_PAUSED:
+            if (gamestate.phase !== PHASE_RUNNING && gamestate.phase !== PHASE_REPLAY) {
+                break; // nothing to pause
+            }
+            gamestate.pausedPhase = gamestate.phase;
+            gamestate.phase = newPhase;
+            notify("pauseChanged", true);
+            break;
+        case PHASE_SETTINGS:
+            gamestate.phase = newPhase;
+            gamestate.sprites = [];
+            gamestate.fgsprites = [];
+            gamestate.boss = null;
+            gamestate.powerUps = {};
+            break;
+        case PHASE_INITIALS:
+            gamestate.phase = newPhase;
+            gamestate.sprites = [];
+            gamestate.fgsprites = [];
+            gamestate.boss = null;
+            gamestate.powerUps = {};
+            gamestate.initials = {
+                letters: Array(INITIALS_LENGTH).fill(INITIALS_ALPHABET[0]),
+                cursor: 0,
+                // whatever is held now isn't a press, and nor is fire until it's been let go:
+                // the press that got us here may not have reached a tick yet
+                heldMask: encodeInputs(gamestate.inputs)[0] | INPUT_BITS.fire,
+            };
+            break;
+        case PHASE_GAME_OVER:
+            silenceAllSprites();
+            changeMusic(null); // will transition to gameover music after SFX ends
+            gamestate.phase = newPhase;
+            gamestate.powerUps = {};
+            gamestate.fgsprites.push(new GameOverMessage());
+
+            if (gamestate.recording) {
+                gamestate.recording.frames = gamestate.frame;
+                gamestate.recording.score = gamestate.score;
+            }
+
+            // what the leaderboards get to know about the run. replays don't count.
+            gamestate.finishedRun = null;
+            if (gamestate.replay == null) {
+                gamestate.finishedRun = {
+                    score: gamestate.score,
+                    date: new Date().toISOString().slice(0, 10),
+                    duration: Math.round(gamestate.frame / TICKS_PER_SECOND),
+                    seed: gamestate.recording.seed,
+                    replay: replayData(gamestate.recording),
+                };
+            }
+
+            // replays don't count towards the hi score
+            if (gamestate.replay == null && gamestate.score > hiScore) {
+                gamestate.fgsprites.push(new NewHiScore());
+            }
 
             break;
     }
+    return gamestate;
+}
+
+/**
+ * Shows one of the attract phase's screens (ATTRACT_TITLE or ATTRACT_LEADERBOARD).
+ */
+function setAttractScreen(screen) {
+    gamestate.attractScreen = screen;
+    gamestate.sprites = [];
+    if (screen === ATTRACT_TITLE) {
+        gamestate.sprites.push(new TitleScreen());
+        gamestate.sprites.push(new ClickToStart());
+        gamestate.sprites.push(new Credits());
+        gamestate.attractTimer = ATTRACT_TITLE_FRAMES;
+    } else {
+        gamestate.attractTimer = ATTRACT_LEADERBOARD_FRAMES;
+    }
+}
+
+/**
+ * Whether the run that just ended gets to put its initials in a leaderboard.
+ * With a remote leaderboard, every run that scored does.
+ */
+function runQualifiesForLeaderboard() {
+    let run = gamestate.finishedRun;
+    if (run == null) {
+        return false;
+    }
+    return qualifiesForLeaderboard(run.score) || (remoteLeaderboard != null && run.score > 0);
+}
+
+/**
+ * The attract screen to show after the current one. Leaderboards without
+ * any scores are skipped.
+ */
+function nextAttractScreen() {
+    let screens = [ATTRACT_TITLE];
+    if (leaderboard.length > 0) {
+        screens.push(ATTRACT_LEADERBOARD);
+    }
+    if (remoteScores.length > 0) {
+        screens.push(ATTRACT_REMOTE_LEADERBOARD);
+    }
+    let i = screens.indexOf(gamestate.attractScreen);
+    return screens[(i + 1) % screens.length];
+}
+
+/**
+ * Carries on from exactly where setGamePhase(PHASE_PAUSED) left off.
+ */
+function resumeGame() {
+    if (gamestate.phase !== PHASE_PAUSED) {
+        return gamestate;
+    }
+    gamestate.phase = gamestate.pausedPhase;
+    gamestate.pausedPhase = null;
+    notify("pauseChanged", false);
+    return gamestate;
+}
+
+function silenceAllSprites() {
+    for (var s of gamestate.sprites) {
+        s.silence();
+    }
+    for (var s of gamestate.bgsprites) {
+        s.silence();
+    }
+    for (var s of gamestate.fgsprites) {
+        s.silence();
+    }
+}
+
+/**
+ * Advances the game by one tick. Doesn't touch the DOM or audio, so it can be
+ * driven from anywhere (the browser game loop, Node, a test).
+ * 
+ * @param {object} inputs snapshot of the controls for this tick: {left, right, up, down, fire, moveX, moveY, aimX, aimY}
+ * @returns the game state after the tick
+ */
+function tick(inputs) {
+    if (gamestate.phase === PHASE_PAUSED) {
+        // everything stays exactly as it was, animations included
+        notify("ticked", gamestate);
+        return gamestate;
+    }
+    if (gamestate.phase === PHASE_REPLAY) {
+        inputs = replayInputs();
+    }
+    gamestate.inputs = Object.assign({}, inputs);
+    // analog axes are kept to hundredths so replays can reproduce them exactly
+    gamestate.inputs.moveX = Math.round((inputs.moveX || 0) * 100) / 100;
+    gamestate.inputs.moveY = Math.round((inputs.moveY || 0) * 100) / 100;
+    gamestate.inputs.aimX = Math.round((inputs.aimX || 0) * 100) / 100;
+    gamestate.inputs.aimY = Math.round((inputs.aimY || 0) * 100) / 100;
+
+    savePositions(gamestate.bgsprites);
+    savePositions(gamestate.sprites);
+    savePositions(gamestate.fgsprites);
+
+    if (gamestate.phase === PHASE_ATTRACT) {
+        // start key/click is in input handler from one-time init function
+        if (--gamestate.attractTimer <= 0) {
+            setAttractScreen(nextAttractScreen());
+        }
+
+    } else if (gamestate.phase === PHASE_INITIALS) {
+        enterInitials(gamestate.inputs);
+
+    } else if (gamestate.phase === PHASE_GAME_OVER) {
+        if (gamestate.gameOverMusicDelay-- === 0) {
+            changeMusic("gameovermusic");
+        }
+
+    } else if (gamestate.phase === PHASE_RUNNING || gamestate.phase === PHASE_REPLAY) {
+        if (gamestate.recording) {
+            recordInputs();
+        }
+
+        applyDifficulty(gamestate.campaign.levels[gamestate.levelIndex].difficulty);
+
+        // new lambs, broccoli, scenery...
+        runLevel();
+
+        gamestate.knifeThrowCooldown =
+            Math.max(gamestate.knifeThrowCooldown - 1, 0);
+        runPowerUps();
+        runCombo();
+
+        move(gamestate.bgsprites);
+        move(gamestate.sprites);
+        move(gamestate.fgsprites);
+
+        interact(gamestate.sprites);
+
+        // extra teabag?
+        if (gamestate.score >= gamestate.nextExtraTeabag) {
+            gamestate.nextExtraTeabag += gamestate.extraTeabagScore;
+            gamestate.teabags++;
+            playSound("extrateabag");
+        }
+
+        gamestate.frame++;
+    }
+
+    animate(gamestate.bgsprites);
+    animate(gamestate.sprites);
+    animate(gamestate.fgsprites);
+
+    // sort sprites by y coordinate so the perspective looks right
+    gamestate.sprites.sort((a, b) => a.y - b.y);
+
+    notify("ticked", gamestate);
+    return gamestate;
+}
+
+function savePositions(sprites) {
+    for (var s of sprites) {
+        s.prevX = s.x;
+        s.prevY = s.y;
+    }
+}
+
+function animate(sprites) {
+    for (var s of sprites) {
+        s.animate();
+    }
+}
+
+function move(sprites) {
+    for (var i = sprites.length - 1; i >= 0; i--) {
+        let s = sprites[i];
+        s.move();
+        if (s.finished()) {
+            s.inPlay = false;
+        }
+    }
+    removeFinished(sprites);
+}
+
+/**
+ * Takes the sprites that are out of play out of the list, keeping the rest in
+ * order, and hands them back to their pools. One pass over the list rather than
+ * a splice per sprite.
+ */
+function removeFinished(sprites) {
+    let kept = 0;
+    for (var i = 0; i < sprites.length; i++) {
+        let s = sprites[i];
+        if (s.inPlay) {
+            sprites[kept++] = s;
+        } else {
+            releaseSprite(s);
+        }
+    }
+    sprites.length = kept;
+}
+
+/*
+ * The collision broad phase files sprites by hitbox into a grid of square cells
+ * this big. Sprites partly or wholly off the playfield go in the edge cells.
+ */
+const COLLISION_CELL_SIZE = 32;
+const COLLISION_GRID_COLUMNS = Math.ceil(PLAYFIELD_WIDTH / COLLISION_CELL_SIZE);
+const COLLISION_GRID_ROWS = Math.ceil(PLAYFIELD_HEIGHT / COLLISION_CELL_SIZE);
+
+/** Each cell's list of sprite indices, row by row. Refilled by every interact() call. */
+const collisionGrid = Array.from({ length: COLLISION_GRID_COLUMNS * COLLISION_GRID_ROWS }, () => []);
+
+/** Where each sprite index was when it was filed, and in which cells: [column0, column1, row0, row1] */
+let collisionFiledX = [];
+let collisionFiledY = [];
+let collisionFiledCells = [];
+
+/** When each sprite index was last picked as a candidate, so it's only picked once per lookup */
+let collisionSeen = [];
+let collisionLookup = 0;
+
+/* Below this many sprites, trying every pair is quicker than filing them in the grid */
+const COLLISION_GRID_MIN_SPRITES = 50;
+
+/**
+ * Lets every pair of sprites whose hitboxes might overlap interact, then drops
+ * the sprites that are finished.
+ *
+ * Sprites only affect the ones they touch, so with enough of them, rather than
+ * trying every pair this only tries pairs that share a collisionGrid cell. They're
+ * tried in the same order as with every pair, so the outcome (random numbers drawn
+ * included) is the same. If either sprite of a pair moves as they interact, it's
+ * filed again where it is now. Sprites moved any other way during the pass must
+ * only be moved off the playfield (x = -100), where the cells they were in don't matter.
+ */
+function interact(sprites) {
+    if (sprites.length < COLLISION_GRID_MIN_SPRITES) {
+        interactEveryPair(sprites);
+    } else {
+        interactBroadPhase(sprites);
+    }
+    removeFinished(sprites);
+}
+
+function interactEveryPair(sprites) {
+    // iterate backwards, so the sprites that finish are out of play for the ones before them
+    for (var i = sprites.length - 1; i >= 0; i--) {
+        let s1 = sprites[i];
+        for (var s2 of sprites) {
+            if (s2.inPlay) {
+                s1.interact(s2);
+            }
+        }
+        if (s1.finished()) {
+            s1.inPlay = false;
+        }
+    }
+}
+
+function interactBroadPhase(sprites) {
+    fillCollisionGrid(sprites);
+
+    let candidates = [];
+    // iterate backwards, as in interactEveryPair()
+    for (var i = sprites.length - 1; i >= 0; i--) {
+        let s1 = sprites[i];
+        if (s1.hitbox) {
+            refileCollisions(s1, i);
+            findCollisionCandidates(i, candidates, -1);
+            for (var k = 0; k < candidates.length; k++) {
+                let j = candidates[k];
+                if (!sprites[j].inPlay) {
+                    continue;
+                }
+                s1.interact(sprites[j]);
+                refileCollisions(sprites[j], j);
+                if (refileCollisions(s1, i)) {
+                    // s1 has moved: carry on with the sprites after j where it is now
+                    findCollisionCandidates(i, candidates, j);
+                    k = -1;
+                }
+            }
+        }
+        if (s1.finished()) {
+            s1.inPlay = false;
+        }
+    }
+}
+
+/********************
+ * sprite pools
+ ********************/
+
+/* Most sprites of a class kept around for reuse. The rest go to the garbage collector. */
+const MAX_POOL_SIZE = 200;
+
+/** Out-of-play sprites waiting to be reused, by class */
+const spritePools = new Map();
+
+/**
+ * Like `new SpriteClass(...args)`, but hands out a sprite of that class that has
+ * gone out of play, reset for another go, if there is one.
+ */
+function spawnSprite(SpriteClass, ...args) {
+    let pool = spritePools.get(SpriteClass);
+    if (pool && pool.length > 0) {
+        let sprite = pool.pop();
+        sprite.reset(...args);
+        return sprite;
+    }
+    return new SpriteClass(...args);
+}
+
+/**
+ * Keeps a sprite that's out of play for spawnSprite() to reuse, if its class
+ * is pooled. Nothing else may hold on to it.
+ */
+function releaseSprite(sprite) {
+    const SpriteClass = sprite.constructor;
+    if (!SpriteClass.pooled) {
+        return;
+    }
+    let pool = spritePools.get(SpriteClass);
+    if (!pool) {
+        pool = [];
+        spritePools.set(SpriteClass, pool);
+    }
+    if (pool.length < MAX_POOL_SIZE) {
+        pool.push(sprite);
+    }
+}
+
+function fillCollisionGrid(sprites) {
+    for (var cell of collisionGrid) {
+        cell.length = 0;
+    }
+    collisionFiledX.length = sprites.length;
+    collisionFiledY.length = sprites.length;
+    collisionFiledCells.length = sprites.length;
+    for (var i = 0; i < sprites.length; i++) {
+        if (sprites[i].hitbox) {
+            const index = i;
+            let cells = collisionCells(sprites[i]);
+            forEachCollisionCell(cells, cell => cell.push(index));
+            collisionFiledX[i] = sprites[i].x;
+            collisionFiledY[i] = sprites[i].y;
+            collisionFiledCells[i] = cells;
+        }
+    }
+}
+
+/**
+ * Files the sprite at index again if it has moved into different cells since it
+ * was last filed.
+ * @returns whether it had
+ */
+function refileCollisions(sprite, index) {
+    if (sprite.x === collisionFiledX[index] && sprite.y === collisionFiledY[index]) {
+        return false;
+    }
+    collisionFiledX[index] = sprite.x;
+    collisionFiledY[index] = sprite.y;
+    let filed = collisionFiledCells[index];
+    let cells = collisionCells(sprite);
+    if (cells.every((c, n) => c === filed[n])) {
+        return false;
+    }
+    forEachCollisionCell(filed, cell => cell.splice(cell.indexOf(index), 1));
+    forEachCollisionCell(cells, cell => cell.push(index));
+    collisionFiledCells[index] = cells;
+    return true;
+}
+
+/**
+ * Fills candidates with the indices after `after` of the sprites sharing a cell
+ * with the sprite at index (itself included), lowest first.
+ */
+function findCollisionCandidates(index, candidates, after) {
+    candidates.length = 0;
+    collisionLookup++;
+    forEachCollisionCell(collisionFiledCells[index], cell => {
+        for (var other of cell) {
+            if (other > after && collisionSeen[other] !== collisionLookup) {
+                collisionSeen[other] = collisionLookup;
+                candidates.push(other);
+            }
+        }
+    });
+    candidates.sort((a, b) => a - b);
+}
+
+/**
+ * The collisionGrid cells the sprite's hitbox touches, as [column0, column1, row0, row1].
+ */
+function collisionCells(sprite) {
+    let left = sprite.x + sprite.hitbox.x;
+    let top = sprite.y + sprite.hitbox.y;
+    return [
+        collisionCell(left, COLLISION_GRID_COLUMNS),
+        collisionCell(left + sprite.hitbox.w, COLLISION_GRID_COLUMNS),
+        collisionCell(top, COLLISION_GRID_ROWS),
+        collisionCell(top + sprite.hitbox.h, COLLISION_GRID_ROWS),
+    ];
+}
+
+/**
+ * Calls visit with each collisionGrid cell in the given collisionCells().
+ */
+function forEachCollisionCell([column0, column1, row0, row1], visit) {
+    for (var row = row0; row <= row1; row++) {
+        for (var column = column0; column <= column1; column++) {
+            visit(collisionGrid[row * COLLISION_GRID_COLUMNS + column]);
+        }
+    }
+}
+
+function collisionCell(position, cellCount) {
+    return Math.max(0, Math.min(Math.floor(position / COLLISION_CELL_SIZE), cellCount - 1));
+}
+
+
+/********************
+ * replays
+ ********************/
+
+/*
+ * A replay is the seed of a run plus every change to the controls, which is
+ * enough to play the whole run back exactly:
+ * ```
+ * {
+ *   v: 8,
+ *   seed: 1234567,
+ *   frames: 2500,  // length of the run in ticks
+ *   score: 4100,
+ *   inputs: [[0, 4], [12, 0], [80, 18], [95, 0, -35, 100], [140, 16, 0, 0, 71, -71]]  // entry is [frame, ...encodeInputs()]
+ * }
+ * ```
+ */
+/*
+ * Goes up whenever a change to the game would make an old replay play out
+ * differently. Replays only play in the version that recorded them.
+ *   2: aiming
+ *   3: runs follow the campaign's level scripts
+ *   4: sprites come from pools, and are reset rather than made anew
+ *   5: power-ups
+ *   6: lambs dodge, flee and come in herds
+ *   7: boss fights
+ *   8: the teapot starts again from the start after losing a teabag
+ */
+const REPLAY_VERSION = 8;
+const INPUT_BITS = {
+    left: 1,
+    right: 2,
+    up: 4,
+    down: 8,
+    fire: 16,
+};
+
+/**
+ * Packs inputs into the form replays store them in: [input bits] while the analog
+ * stick is centred and the player isn't aiming, [input bits, moveX, moveY] while
+ * they aren't aiming, otherwise [input bits, moveX, moveY, aimX, aimY]. The axes
+ * are in hundredths.
+ */
+function encodeInputs(inputs) {
+    let mask = 0;
+    for (var name of Object.keys(INPUT_BITS)) {
+        if (inputs[name]) {
+            mask |= INPUT_BITS[name];
+        }
+    }
+    let encoded = [mask, Math.round(inputs.moveX * 100), Math.round(inputs.moveY * 100)];
+    if (inputs.aimX || inputs.aimY) {
+        encoded.push(Math.round(inputs.aimX * 100), Math.round(inputs.aimY * 100));
+    } else if (!inputs.moveX && !inputs.moveY) {
+        encoded.length = 1;
+    }
+    return encoded;
+}
+
+function decodeInputs(encoded) {
+    let mask = encoded[0];
+    let inputs = {};
+    for (var name of Object.keys(INPUT_BITS)) {
+        inputs[name] = (mask & INPUT_BITS[name]) !== 0;
+    }
+    inputs.moveX = (encoded[1] || 0) / 100;
+    inputs.moveY = (encoded[2] || 0) / 100;
+    inputs.aimX = (encoded[3] || 0) / 100;
+    inputs.aimY = (encoded[4] || 0) / 100;
+    return inputs;
+}
+
+/**
+ * Appends gamestate.inputs to gamestate.recording if they changed since the last tick.
+ */
+function recordInputs() {
+    let inputs = gamestate.recording.inputs;
+    let last = inputs.length ? inputs[inputs.length - 1].slice(1) : [0];
+    let encoded = encodeInputs(gamestate.inputs);
+    if (encoded.join() !== last.join()) {
+        inputs.push([gamestate.frame, ...encoded]);
+    }
+}
+
+/**
+ * Returns the controls the replay being played back had on the current frame.
+ */
+function replayInputs() {
+    let inputs = gamestate.replay.inputs;
+    while (gamestate.replayCursor < inputs.length &&
+            inputs[gamestate.replayCursor][0] <= gamestate.frame) {
+        gamestate.replayEntry = inputs[gamestate.replayCursor].slice(1);
+        gamestate.replayCursor++;
+    }
+    return decodeInputs(gamestate.replayEntry);
+}
+
+/**
+ * Starts playing back the given replay (as returned by parseReplay()).
+ */
+function startReplay(replay) {
+    setGamePhase(PHASE_REPLAY, replay.seed);
+    gamestate.replay = replay;
+    // the levels it was recorded on, not whatever campaign new runs are set to play
+    gamestate.campaign = replay.campaign ? parseCampaign(replay.campaign) : ENDLESS_CAMPAIGN;
+    startLevel(0);
+    return gamestate;
+}
+
+/**
+ * @returns the given recording as a replay object, ready to be saved as JSON
+ */
+function replayData(recording) {
+    return {
+        v: REPLAY_VERSION,
+        seed: recording.seed,
+        frames: recording.frames,
+        score: recording.score,
+        inputs: recording.inputs,
+        campaign: recording.campaign, // left out for the endless game
+    };
+}
+
+/**
+ * @returns the given recording as a compact JSON replay file
+ */
+function exportReplay(recording) {
+    return JSON.stringify(replayData(recording));
+}
+
+/**
+ * Reads a replay file written by exportReplay().
+ * @throws Error if json isn't a replay this version of the game can play. Replays
+ *  recorded by any other version (see REPLAY_VERSION) are turned away, not converted.
+ */
+function parseReplay(json) {
+    let replay = JSON.parse(json);
+    if (replay.v !== REPLAY_VERSION) {
+        // the rules it was recorded under are gone, so it wouldn't play out the same
+        throw new Error("Replay is from " + (replay.v < REPLAY_VERSION ? "an older" : "a newer") +
+            " version of the game (v" + replay.v + ", this is v" + REPLAY_VERSION + ") and can't be played back");
+    }
+    if (typeof replay.seed !== "number" || !Array.isArray(replay.inputs)) {
+        throw new Error("Not a replay file");
+    }
+    return replay;
+}
+
+
+/********************
+ * rendering
+ ********************/
+
+/** @type {CanvasRenderingContext2D} */
+function prepareRender() {
+    /** @type {HTMLCanvasElement} */
+    let c = document.getElementById("game");
+
+    /** @type {CanvasRenderingContext2D} */
+    let ctx = c.getContext("2d");
+
+    ctx.clearRect(0, 0, PLAYFIELD_WIDTH, PLAYFIELD_HEIGHT);
+
+    return ctx;    
+}
+
+/**
+ * Draws the sprites where they are `alpha` of the way through the current tick.
+ */
+function render(
+    /** @type {CanvasRenderingContext2D} */ ctx,
+    /** @type {Sprite[]} */ sprites,
+    /** @type {number} */ alpha) {
+    for (var s of sprites) {
+        let x = s.prevX === undefined ? s.x : s.prevX + (s.x - s.prevX) * alpha;
+        let y = s.prevY === undefined ? s.y : s.prevY + (s.y - s.prevY) * alpha;
+        s.draw(ctx, x, y);
+    }
+}
+
+// status bar icons
+const knifeSprite = new Sprite("Knife", "Knife.png", { dummy: [[0, 1]]})
+const teabagSprite = new Sprite("Teabag", "Teabag.png", { dummy: [[0, 1]]})
+
+function renderStatusBar(
+    /** @type {CanvasRenderingContext2D} */ ctx,
+    gamestate) {
+
+    let y = 8;
+    let score = "" + gamestate.score;
+    if (gamestate.phase === PHASE_ATTRACT) {
+        score = "HI " + hiScore;
+    }
+    scoreFont.draw(ctx, score, PLAYFIELD_WIDTH - scoreFont.w, y, Text.RIGHT);
+
+    // the multiplier under the score, with how long the combo has left to run
+    let multiplier = Math.floor(gamestate.multiplier);
+    if (multiplier > 1 || gamestate.comboKills > 1) {
+        let comboY = y + scoreFont.h + 4;
+        let text = "x" + multiplier + (gamestate.comboKills > 1 ? " COMBO " + gamestate.comboKills : "");
+        messageFont.draw(ctx, text, PLAYFIELD_WIDTH - scoreFont.w, comboY, Text.RIGHT);
+        ctx.save();
+        ctx.fillStyle = "white";
+        let width = 48 * gamestate.comboTimer / COMBO_WINDOW_TICKS;
+        ctx.fillRect(PLAYFIELD_WIDTH - scoreFont.w - width, comboY + messageFont.h + 2, width, 2);
+        ctx.restore();
+    }
+
+    let x = 16;
+    if (knifeSprite.ready) {
+        let image = knifeSprite.frames[0];
+        for (var i = 0; i < gamestate.knives; i++) {
+            ctx.drawImage(image, x, y);
+            x += 16;
+        }
+    }
+
+    if (teabagSprite.ready && gamestate.phase !== PHASE_ATTRACT) {
+        x += 16;
+        let image = teabagSprite.frames[0];
+        for (var i = 0; i < gamestate.teabags; i++) {
+            ctx.drawImage(image, x, y);
+            x += teabagSprite.w;
+        }
+    }
+
+    // each power-up the player has, with how much of its time is left underneath
+    x += 16;
+    for (var name of Object.keys(gamestate.powerUps)) {
+        let ticksLeft = gamestate.powerUps[name];
+        if (ticksLeft > POWER_UP_WARNING_TICKS || Math.floor(ticksLeft / 10) % 2 === 0) {
+            drawPowerUpBadge(ctx, name, x + 8, y + 8, 8);
+        }
+        ctx.save();
+        ctx.fillStyle = POWER_UPS[name].color;
+        ctx.fillRect(x, y + 18, 16 * ticksLeft / POWER_UPS[name].ticks, 2);
+        ctx.restore();
+        x += 20;
+    }
+}
+
+/**
+ * Draws the game onto the "game" canvas. Called once per display frame, which
+ * usually falls somewhere between two ticks.
+ * 
+ * @param {number} alpha how far (0..1) we are from the last tick to the next one
+ */
+function renderFrame(gamestate, alpha) {
+    let ctx = prepareRender();
+    render(ctx, gamestate.bgsprites, alpha);
+    render(ctx, gamestate.sprites, alpha);
+    render(ctx, gamestate.fgsprites, alpha);
+    if (gamestate.phase === PHASE_SETTINGS) {
+        renderSettings(ctx);
+    } else {
+        renderStatusBar(ctx, gamestate);
+    }
+    if (gamestate.boss) {
+        renderBossHealth(ctx, gamestate.boss);
+    }
+    if (gamestate.phase === PHASE_PAUSED) {
+        renderPauseMenu(ctx);
+    }
+    if (gamestate.phase === PHASE_ATTRACT) {
+        if (gamestate.attractScreen === ATTRACT_LEADERBOARD) {
+            renderLeaderboard(ctx, "TOP " + LEADERBOARD_SIZE, leaderboard, gamestate.newEntryRank);
+        } else if (gamestate.attractScreen === ATTRACT_REMOTE_LEADERBOARD) {
+            renderLeaderboard(ctx, "WORLD TOP " + LEADERBOARD_SIZE, remoteScores, -1);
+        }
+        messageFont.draw(ctx, "ESC: CONTROLS", PLAYFIELD_WIDTH / 2, PLAYFIELD_HEIGHT - 20, Text.CENTER);
+    }
+    if (gamestate.phase === PHASE_INITIALS) {
+        renderInitialsEntry(ctx, gamestate);
+    }
+    if (touchControls.visible) {
+        renderTouchControls(ctx);
+    }
+    renderVolumeDisplay(ctx);
+    if (debugOverlay.visible) {
+        renderDebugOverlay(ctx, gamestate, alpha);
+    }
+}
+
+/* What the volume keys last did, shown briefly at the top of the screen */
+const VOLUME_DISPLAY_MS = 1500;
+const volumeDisplay = {
+    text: "",
+    until: 0, // Date.now() when it goes away
+};
+
+function showVolume(text) {
+    volumeDisplay.text = text;
+    volumeDisplay.until = Date.now() + VOLUME_DISPLAY_MS;
+}
+
+function renderVolumeDisplay(/** @type {CanvasRenderingContext2D} */ ctx) {
+    if (Date.now() < volumeDisplay.until) {
+        messageFont.draw(ctx, volumeDisplay.text, PLAYFIELD_WIDTH / 2, 40, Text.CENTER);
+    }
+}
+
+/**
+ * Draws the controls screen: every action, the keys bound to it, and the
+ * menu cursor.
+ */
+function renderSettings(/** @type {CanvasRenderingContext2D} */ ctx) {
+    const lineHeight = 16;
+    let y = 120;
+    messageFont.draw(ctx, "CONTROLS", PLAYFIELD_WIDTH / 2, y, Text.CENTER);
+    y += lineHeight * 2;
+
+    for (var i = 0; i < SETTINGS_ITEMS.length; i++) {
+        let item = SETTINGS_ITEMS[i];
+        if (item === "defaults") {
+            y += lineHeight; // gap between the actions and the other items
+        }
+        if (i === settingsMenu.selected) {
+            messageFont.draw(ctx, ">", 100, y);
+        }
+        if (item === "defaults") {
+            messageFont.draw(ctx, "RESET DEFAULTS", 116, y);
+        } else if (item === "back") {
+            messageFont.draw(ctx, "BACK", 116, y);
+        } else {
+            messageFont.draw(ctx, ACTION_LABELS[item] || item.toUpperCase(), 116, y);
+            let keys = keyMap[item].map(keyLabel).join(" / ") || "---";
+            if (settingsMenu.rebinding && i === settingsMenu.selected) {
+                keys = "PRESS A KEY...";
+            }
+            messageFont.draw(ctx, keys, 216, y);
+        }
+        y += lineHeight;
+    }
+
+    y += lineHeight * 2;
+    let help = settingsMenu.rebinding ? "ESC: CANCEL" : "ENTER: CHANGE   ESC: BACK";
+    messageFont.draw(ctx, help, PLAYFIELD_WIDTH / 2, y, Text.CENTER);
+}
+
+/**
+ * Draws the loading progress bar, and once loading is over, any files that
+ * couldn't be loaded.
+ */
+function renderLoadingScreen() {
+    let ctx = prepareRender();
+    const barWidth = 300;
+    const barHeight = 12;
+    let x = (PLAYFIELD_WIDTH - barWidth) / 2;
+    let y = PLAYFIELD_HEIGHT / 2;
+
+    messageFont.draw(ctx, "LOADING", PLAYFIELD_WIDTH / 2, y - 20, Text.CENTER);
+    ctx.strokeStyle = "white";
+    ctx.strokeRect(x, y, barWidth, barHeight);
+    ctx.fillStyle = "white";
+    ctx.fillRect(x, y, barWidth * assetProgress.loaded / Math.max(assetProgress.total, 1), barHeight);
+
+    if (assetProgress.missing.length > 0) {
+        y += barHeight * 3;
+        messageFont.draw(ctx, "MISSING FILES:", PLAYFIELD_WIDTH / 2, y, Text.CENTER);
+        y += messageFont.h * 2;
+        messageFont.draw(ctx, assetProgress.missing.join("\n").toUpperCase(), PLAYFIELD_WIDTH / 2, y, Text.CENTER, Text.CENTER);
+        if (assetProgress.done) {
+            y += (assetProgress.missing.length + 1) * messageFont.h;
+            messageFont.draw(ctx, "PRESS ENTER TO PLAY ANYWAY", PLAYFIELD_WIDTH / 2, y, Text.CENTER);
+        }
+    }
+}
+
+/**
+ * Draws a top 10 table.
+ * @param {object[]} entries leaderboard entries, best first
+ * @param {number} highlightRank row to point out (the one just entered), or -1
+ */
+function renderLeaderboard(/** @type {CanvasRenderingContext2D} */ ctx, title, entries, highlightRank) {
+    const lineHeight = 20;
+    let y = 90;
+    messageFont.draw(ctx, title, PLAYFIELD_WIDTH / 2, y, Text.CENTER);
+    y += lineHeight * 2;
+    for (var i = 0; i < Math.min(entries.length, LEADERBOARD_SIZE); i++) {
+        let entry = entries[i];
+        if (i === highlightRank) {
+            messageFont.draw(ctx, ">", 50, y);
+        }
+        messageFont.draw(ctx, (i + 1) + ".", 90, y, Text.RIGHT);
+        messageFont.draw(ctx, entry.initials, 104, y);
+        messageFont.draw(ctx, "" + entry.score, 250, y, Text.RIGHT);
+        messageFont.draw(ctx, entry.date || "-", 274, y);
+        messageFont.draw(ctx, formatDuration(entry.duration), 440, y, Text.RIGHT);
+        y += lineHeight;
+    }
+}
+
+/**
+ * Formats seconds as m:ss.
+ */
+function formatDuration(seconds) {
+    if (seconds == null) {
+        return "-";
+    }
+    let s = seconds % 60;
+    return Math.floor(seconds / 60) + ":" + (s < 10 ? "0" : "") + s;
+}
+
+/**
+ * What the initials entry screen calls the run: only the very best is a new high
+ * score. Runs that only make the remote leaderboard don't get a place.
+ */
+function initialsHeading(score) {
+    if (!qualifiesForLeaderboard(score)) {
+        return "GREAT RUN!";
+    }
+    let place = leaderboardPosition(score) + 1;
+    if (place === 1) {
+        return "NEW HIGH SCORE!";
+    }
+    let suffix = place === 2 ? "ND" : place === 3 ? "RD" : "TH";
+    return place + suffix + " PLACE!";
+}
+
+function renderInitialsEntry(/** @type {CanvasRenderingContext2D} */ ctx, gamestate) {
+    const letterSpacing = 24;
+    let entry = gamestate.initials;
+    messageFont.draw(ctx, initialsHeading(gamestate.score), PLAYFIELD_WIDTH / 2, 150, Text.CENTER);
+    scoreFont.draw(ctx, "" + gamestate.score, PLAYFIELD_WIDTH / 2, 176, Text.CENTER);
+    messageFont.draw(ctx, "ENTER YOUR INITIALS", PLAYFIELD_WIDTH / 2, 220, Text.CENTER);
+
+    let x = PLAYFIELD_WIDTH / 2 - letterSpacing * (INITIALS_LENGTH - 1) / 2;
+    for (var i = 0; i < INITIALS_LENGTH; i++) {
+        messageFont.draw(ctx, entry.letters[i], x, 250, Text.CENTER);
+        if (i === entry.cursor) {
+            messageFont.draw(ctx, "-", x, 262, Text.CENTER);
+        }
+        x += letterSpacing;
+    }
+
+    messageFont.draw(ctx, "UP/DOWN: LETTER   FIRE: NEXT", PLAYFIELD_WIDTH / 2, 300, Text.CENTER);
+}
+
+/**
+ * Dims the frozen game and draws the pause menu over it.
+ */
+function renderPauseMenu(/** @type {CanvasRenderingContext2D} */ ctx) {
+    const lineHeight = 16;
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+    ctx.fillRect(0, 0, PLAYFIELD_WIDTH, PLAYFIELD_HEIGHT);
+    ctx.restore();
+
+    let y = PLAYFIELD_HEIGHT / 2 - lineHeight * 3;
+    messageFont.draw(ctx, "PAUSED", PLAYFIELD_WIDTH / 2, y, Text.CENTER);
+    y += lineHeight * 2;
+    for (var i = 0; i < PAUSE_MENU_ITEMS.length; i++) {
+        let item = PAUSE_MENU_ITEMS[i];
+        if (i === pauseMenu.selected) {
+            item = "> " + item + " <";
+        }
+        messageFont.draw(ctx, item, PLAYFIELD_WIDTH / 2, y, Text.CENTER);
+        y += lineHeight;
+    }
+}
+
+/**
+ * Draws the virtual joystick and fire button over the playfield.
+ */
+function renderTouchControls(/** @type {CanvasRenderingContext2D} */ ctx) {
+    ctx.save();
+    ctx.fillStyle = "rgba(255, 255, 255, 0.2)";
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.lineWidth = 2;
+
+    ctx.beginPath();
+    ctx.arc(TOUCH_STICK.x, TOUCH_STICK.y, TOUCH_STICK.r, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.arc(
+        TOUCH_STICK.x + touchInputs.moveX * TOUCH_STICK.r,
+        TOUCH_STICK.y + touchInputs.moveY * TOUCH_STICK.r,
+        TOUCH_STICK.r / 2, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    ctx.fillStyle = touchInputs.fire ? "rgba(255, 255, 255, 0.5)" : "rgba(255, 255, 255, 0.2)";
+    ctx.beginPath();
+    ctx.arc(TOUCH_FIRE.x, TOUCH_FIRE.y, TOUCH_FIRE.r, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+}
+
+
+/********************
+ * debug overlay
+ ********************/
+
+/* The slow-motion settings, as fractions of real time. The debug overlay's comma key cycles through them. */
+const DEBUG_SPEEDS = [1, 0.5, 0.25, 0.1];
+
+/* How quickly the FPS and tick time readouts follow changes (0..1) */
+const DEBUG_SMOOTHING = 0.05;
+
+/* The sprite layers, with what the overlay calls them */
+const DEBUG_LAYERS = { bgsprites: "BG", sprites: "MAIN", fgsprites: "FG" };
+
+const debugOverlay = {
+    visible: false,
+    frozen: false, // the game only moves on when stepped
+    steps: 0, // ticks stepped through while frozen that haven't been run yet
+    speed: 1, // one of DEBUG_SPEEDS
+    fps: 0,
+    tickMs: 0, // how long tick() takes
+};
+
+/**
+ * Handles the debug overlay's keys. Backquote shows and hides the overlay; while
+ * it's up, backslash freezes and unfreezes the game, period steps it on one tick
+ * (freezing it first), and comma cycles through the slow-motion speeds.
+ * @returns whether the key was one of them
+ */
+function debugKeyDown(code) {
+    if (code === "Backquote") {
+        // hiding the overlay puts the game back to normal
+        debugOverlay.visible = !debugOverlay.visible;
+        debugOverlay.frozen = false;
+        debugOverlay.speed = 1;
+        return true;
+    }
+    if (!debugOverlay.visible) {
+        return false;
+    }
+    if (code === "Backslash") {
+        debugOverlay.frozen = !debugOverlay.frozen;
+    } else if (code === "Period") {
+        debugOverlay.frozen = true;
+        debugOverlay.steps++;
+    } else if (code === "Comma") {
+        let next = (DEBUG_SPEEDS.indexOf(debugOverlay.speed) + 1) % DEBUG_SPEEDS.length;
+        debugOverlay.speed = DEBUG_SPEEDS[next];
+    } else {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Outlines every sprite's hitbox and labels it with the sprite's name, then lists
+ * what the game is up to down the sides of the playfield.
+ */
+function renderDebugOverlay(/** @type {CanvasRenderingContext2D} */ ctx, gamestate, alpha) {
+    const lineHeight = messageFont.h + 1;
+    ctx.save();
+    ctx.strokeStyle = "red";
+    ctx.lineWidth = 1;
+    for (var layer of Object.keys(DEBUG_LAYERS)) {
+        for (var s of gamestate[layer]) {
+            if (!s.hitbox) {
+                continue;
+            }
+            // where render() drew it
+            let x = s.prevX === undefined ? s.x : s.prevX + (s.x - s.prevX) * alpha;
+            let y = s.prevY === undefined ? s.y : s.prevY + (s.y - s.prevY) * alpha;
+            ctx.strokeRect(x + s.hitbox.x + 0.5, y + s.hitbox.y + 0.5, s.hitbox.w - 1, s.hitbox.h - 1);
+            messageFont.draw(ctx, s.name.toUpperCase(), x + s.w / 2, y - messageFont.h, Text.CENTER);
+        }
+    }
+
+    let columns = [debugStats(gamestate), debugGamestate(gamestate)];
+    const top = 32; // below the status bar
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    for (var i = 0; i < columns.length; i++) {
+        let width = messageFont.measure(columns[i].join("\n")) + 8;
+        let x = i === 0 ? 0 : PLAYFIELD_WIDTH - width;
+        ctx.fillRect(x, top, width, columns[i].length * lineHeight + 8);
+    }
+    ctx.restore();
+
+    for (var i = 0; i < columns.length; i++) {
+        let x = i === 0 ? 4 : PLAYFIELD_WIDTH - 4;
+        let y = top + 4;
+        for (var line of columns[i]) {
+            messageFont.draw(ctx, line, x, y, i === 0 ? Text.LEFT : Text.RIGHT);
+            y += lineHeight;
+        }
+    }
+}
+
+/**
+ * The overlay's left column: timing, sprite counts and what the level will spawn next.
+ */
+function debugStats(gamestate) {
+    let lines = [
+        "FPS " + Math.round(debugOverlay.fps),
+        "TICK " + debugOverlay.tickMs.toFixed(2) + " MS",
+        debugOverlay.frozen ? "FROZEN (. TO STEP)" : "SPEED " + debugOverlay.speed + "x",
+        "",
+        "SPRITES",
+    ];
+    for (var layer of Object.keys(DEBUG_LAYERS)) {
+        lines.push(" " + DEBUG_LAYERS[layer] + " " + gamestate[layer].length);
+    }
+    let pooled = 0;
+    for (var pool of spritePools.values()) {
+        pooled += pool.length;
+    }
+    lines.push(" POOLED " + pooled);
+
+    if (gamestate.boss) {
+        lines.push("", "BOSS " + gamestate.boss.health + "/" + gamestate.boss.maxHealth);
+    }
+
+    let powerUps = Object.keys(gamestate.powerUps);
+    if (powerUps.length) {
+        lines.push("", "POWER-UPS");
+        for (var name of powerUps) {
+            lines.push(" " + name.toUpperCase() + " " + gamestate.powerUps[name] + " TICKS");
+        }
+    }
+
+    if (gamestate.campaign) {
+        let level = gamestate.campaign.levels[gamestate.levelIndex];
+        lines.push("", "LEVEL " + (gamestate.levelIndex + 1) + ": " + level.name.toUpperCase(), "NEXT SPAWNS");
+        for (var i = 0; i < level.spawners.length; i++) {
+            let spawner = level.spawners[i];
+            let when;
+            if (heldBack(spawner)) {
+                when = "AFTER THE BOSS";
+            } else if (spawner.minScore !== undefined && gamestate.score <= levelValue(spawner.minScore)) {
+                when = "AFTER " + levelValue(spawner.minScore) + " PTS";
+            } else if (spawner.every === undefined) {
+                when = "EVERY TICK";
+            } else {
+                when = gamestate.spawnTimers[i] + " TICKS";
+            }
+            if (spawner.max !== undefined) {
+                when += " (MAX " + spawner.max + ")";
+            }
+            lines.push(" " + spawner.type.toUpperCase() + " " + when);
+        }
+        lines.push(" QUEUED " + gamestate.queuedSpawns.length);
+        let wavesLeft = gamestate.wavesFired.filter(fired => !fired).length;
+        lines.push(" WAVES LEFT " + wavesLeft);
+    }
+    return lines;
+}
+
+/**
+ * The overlay's right column: every simple value in gamestate, plus where the player is.
+ */
+function debugGamestate(gamestate) {
+    let lines = [];
+    for (var name of Object.keys(gamestate)) {
+        let value = gamestate[name];
+        if (typeof value === "number" && !Number.isInteger(value)) {
+            value = value.toFixed(2);
+        } else if (value !== null && typeof value === "object") {
+            continue;
+        }
+        lines.push(name.toUpperCase() + " " + String(value).toUpperCase());
+    }
+    if (gamestate.player) {
+        lines.push("PLAYER " + Math.round(gamestate.player.x) + "," + Math.round(gamestate.player.y));
+    }
+    return lines;
+}
+
+
+/********************
+ * browser setup
+ ********************/
+
+/*
+ * Which keys (KeyboardEvent.code values, so they stay put whatever the keyboard
+ * layout) trigger each action. Players can change these on the controls screen.
+ */
+const KEY_MAP_STORAGE_KEY = "keyMap_1";
+const DEFAULT_KEY_MAP = {
+    up: ["ArrowUp", "KeyW"],
+    down: ["ArrowDown", "KeyS"],
+    left: ["ArrowLeft", "KeyA"],
+    right: ["ArrowRight", "KeyD"],
+    fire: ["Space"],
+    pause: ["KeyP"],
+    mute: ["KeyM"],
+    musicDown: ["BracketLeft"],
+    musicUp: ["BracketRight"],
+    sfxDown: ["Minus"],
+    sfxUp: ["Equal"],
+};
+
+/* What the controls screen calls actions whose names don't speak for themselves */
+const ACTION_LABELS = {
+    musicDown: "MUSIC -",
+    musicUp: "MUSIC +",
+    sfxDown: "EFFECTS -",
+    sfxUp: "EFFECTS +",
+};
+
+/* Step for the volume keys */
+const VOLUME_STEP = 0.1;
+let keyMap = loadKeyMap();
+
+/**
+ * Returns the saved key map, or the default one if nothing usable was saved.
+ * Actions missing from the saved map get their default keys.
+ */
+function loadKeyMap() {
+    let loaded = JSON.parse(JSON.stringify(DEFAULT_KEY_MAP));
+    if (typeof localStorage === "undefined" || !localStorage.getItem(KEY_MAP_STORAGE_KEY)) {
+        return loaded;
+    }
+    try {
+        let saved = JSON.parse(localStorage.getItem(KEY_MAP_STORAGE_KEY));
+        for (var action of Object.keys(loaded)) {
+            if (Array.isArray(saved[action]) && saved[action].every(code => typeof code === "string")) {
+                loaded[action] = saved[action];
+            }
+        }
+    } catch (e) {
+        console.log("Ignoring saved key map:", e);
+    }
+    return loaded;
+}
+
+function saveKeyMap() {
+    if (typeof localStorage !== "undefined") {
+        localStorage.setItem(KEY_MAP_STORAGE_KEY, JSON.stringify(keyMap));
+    }
+}
+
+/**
+ * @returns the action bound to the given key code, or null
+ */
+function actionForCode(code) {
+    for (var action of Object.keys(keyMap)) {
+        if (keyMap[action].includes(code)) {
+            return action;
+        }
+    }
+    return null;
+}
+
+/**
+ * Makes code the only key for action, taking it away from any other action.
+ */
+function bindKey(action, code) {
+    for (var other of Object.keys(keyMap)) {
+        keyMap[other] = keyMap[other].filter(c => c !== code);
+    }
+    keyMap[action] = [code];
+}
+
+/**
+ * A short name for a key code that our font can draw, like "A", "UP ARROW" or "SHIFT LEFT".
+ */
+function keyLabel(code) {
+    if (code.startsWith("Key")) {
+        return code.slice(3);
+    }
+    if (code.startsWith("Digit")) {
+        return code.slice(5);
+    }
+    if (code.startsWith("Arrow")) {
+        return code.slice(5).toUpperCase() + " ARROW";
+    }
+    return code.replace(/([a-z])([A-Z0-9])/g, "$1 $2").toUpperCase();
 }
 
-function silenceAllSprites() {
-    for (var s of gamestate.sprites) {
-        s.silence();
+/* The controls screen lists every action, then these two extra items */
+const SETTINGS_ITEMS = [...Object.keys(DEFAULT_KEY_MAP), "defaults", "back"];
+const settingsMenu = {
+    selected: 0,
+    rebinding: false, // waiting for the new key for the selected action
+};
+
+/**
+ * Handles a key press on the controls screen.
+ */
+function settingsKeyDown(code) {
+    if (settingsMenu.rebinding) {
+        if (code !== "Escape") {
+            bindKey(SETTINGS_ITEMS[settingsMenu.selected], code);
+            saveKeyMap();
+        }
+        settingsMenu.rebinding = false;
+        return;
     }
-    for (var s of gamestate.bgsprites) {
-        s.silence();
+
+    const action = actionForCode(code);
+    if (code === "ArrowUp" || action === "up") {
+        settingsMenu.selected = (settingsMenu.selected + SETTINGS_ITEMS.length - 1) % SETTINGS_ITEMS.length;
+    } else if (code === "ArrowDown" || action === "down") {
+        settingsMenu.selected = (settingsMenu.selected + 1) % SETTINGS_ITEMS.length;
+    } else if (code === "Enter" || action === "fire") {
+        let item = SETTINGS_ITEMS[settingsMenu.selected];
+        if (item === "defaults") {
+            keyMap = JSON.parse(JSON.stringify(DEFAULT_KEY_MAP));
+            saveKeyMap();
+        } else if (item === "back") {
+            leaveSettings();
+        } else {
+            settingsMenu.rebinding = true;
+        }
+    } else if (code === "Escape") {
+        leaveSettings();
     }
-    for (var s of gamestate.fgsprites) {
-        s.silence();
+}
+
+function leaveSettings() {
+    // the keys that are down now may not mean the same thing any more
+    releaseHeldInputs();
+    settingsMenu.selected = 0;
+    setGamePhase(PHASE_ATTRACT);
+}
+
+/**
+ * Lets go of every key and the mouse button, as if they'd all come up.
+ */
+function releaseHeldInputs() {
+    for (var name of Object.keys(keyboardInputs)) {
+        keyboardInputs[name] = false;
+    }
+    mouseInputs.fire = false;
+}
+
+/** What the keyboard handlers say the controls are doing right now */
+const keyboardInputs = {
+    left: false,
+    right: false,
+    down: false,
+    up: false,
+    fire: false,
+};
+
+/** What the gamepad says the controls are doing, as of the last pollGamepad() */
+const gamepadInputs = {
+    left: false,
+    right: false,
+    down: false,
+    up: false,
+    fire: false,
+    moveX: 0,
+    moveY: 0,
+    aimX: 0, // right stick
+    aimY: 0,
+};
+
+/* Button and axis numbers in the "standard" gamepad mapping */
+const GAMEPAD_FIRE_BUTTONS = [0, 2]; // A, X
+const GAMEPAD_START_BUTTONS = [0, 1, 2, 3, 9]; // face buttons and Start
+const GAMEPAD_DPAD_UP = 12;
+const GAMEPAD_DPAD_DOWN = 13;
+const GAMEPAD_DPAD_LEFT = 14;
+const GAMEPAD_DPAD_RIGHT = 15;
+const GAMEPAD_STICK_X = 0;
+const GAMEPAD_STICK_Y = 1;
+const GAMEPAD_AIM_X = 2;
+const GAMEPAD_AIM_Y = 3;
+
+/* Stick deflections smaller than this count as centred */
+const GAMEPAD_DEADZONE = 0.2;
+
+/** Whether a start button was down last poll, so holding one doesn't keep restarting */
+let gamepadStartHeld = false;
+
+/** What the on-screen touch controls say the controls are doing right now */
+const touchInputs = {
+    fire: false,
+    moveX: 0,
+    moveY: 0,
+};
+
+/* Where the touch controls are, in playfield coordinates */
+const TOUCH_STICK = { x: 80, y: PLAYFIELD_HEIGHT - 80, r: 50 };
+const TOUCH_FIRE = { x: PLAYFIELD_WIDTH - 70, y: PLAYFIELD_HEIGHT - 80, r: 36 };
+
+/**
+ * Which pointer (finger) is working each touch control. Each control follows
+ * its own finger, so you can steer and throw at the same time.
+ */
+const touchControls = {
+    visible: false, // shown from the first touch on
+    stickPointer: null,
+    firePointer: null,
+};
+
+/**
+ * Converts a pointer event's position to playfield coordinates.
+ */
+function toPlayfield(/** @type {PointerEvent} */ event) {
+    let canvas = document.getElementById("game");
+    let rect = canvas.getBoundingClientRect();
+    let transform = canvas.getContext("2d").getTransform();
+    return {
+        x: (event.clientX - rect.left - transform.e) / transform.a,
+        y: (event.clientY - rect.top - transform.f) / transform.d,
+    };
+}
+
+function moveTouchStick(/** @type {PointerEvent} */ event) {
+    let p = toPlayfield(event);
+    let dx = (p.x - TOUCH_STICK.x) / TOUCH_STICK.r;
+    let dy = (p.y - TOUCH_STICK.y) / TOUCH_STICK.r;
+    let length = Math.hypot(dx, dy);
+    if (length > 1) {
+        dx /= length;
+        dy /= length;
+    }
+    touchInputs.moveX = dx;
+    touchInputs.moveY = dy;
+}
+
+function touchDown(/** @type {PointerEvent} */ event) {
+    if (event.pointerType !== "touch") {
+        return;
+    }
+    touchControls.visible = true;
+    let p = toPlayfield(event);
+    if (Math.hypot(p.x - TOUCH_FIRE.x, p.y - TOUCH_FIRE.y) <= TOUCH_FIRE.r * 1.5) {
+        touchControls.firePointer = event.pointerId;
+        touchInputs.fire = true;
+    } else if (p.x < PLAYFIELD_WIDTH / 2) {
+        // anywhere on the left half grabs the stick
+        touchControls.stickPointer = event.pointerId;
+        moveTouchStick(event);
+    }
+}
+
+function touchMove(/** @type {PointerEvent} */ event) {
+    if (event.pointerId === touchControls.stickPointer) {
+        moveTouchStick(event);
+    }
+}
+
+function touchUp(/** @type {PointerEvent} */ event) {
+    if (event.pointerId === touchControls.stickPointer) {
+        touchControls.stickPointer = null;
+        touchInputs.moveX = 0;
+        touchInputs.moveY = 0;
+    } else if (event.pointerId === touchControls.firePointer) {
+        touchControls.firePointer = null;
+        touchInputs.fire = false;
+    }
+}
+
+/** Where the mouse is pointing on the playfield, and whether its button is throwing */
+const mouseInputs = {
+    active: false, // it's over the game
+    x: 0,
+    y: 0,
+    fire: false,
+    movedAt: 0, // Date.now() when it last moved
+};
+
+/*
+ * The mouse only aims while its button is down or for this long after it last
+ * moved, so a pointer left resting on the game doesn't steer keyboard throws.
+ */
+const MOUSE_AIM_MS = 1000;
+
+function mouseMove(/** @type {PointerEvent} */ event) {
+    if (event.pointerType !== "mouse") {
+        return;
+    }
+    let p = toPlayfield(event);
+    mouseInputs.active = true;
+    mouseInputs.x = p.x;
+    mouseInputs.y = p.y;
+    mouseInputs.movedAt = Date.now();
+}
+
+function mouseDown(/** @type {PointerEvent} */ event) {
+    if (event.pointerType === "mouse" && event.button === 0) {
+        mouseMove(event);
+        mouseInputs.fire = true;
+    }
+}
+
+function mouseUp(/** @type {PointerEvent} */ event) {
+    if (event.pointerType === "mouse" && event.button === 0) {
+        mouseInputs.fire = false;
+    }
+}
+
+function mouseLeave(/** @type {PointerEvent} */ event) {
+    if (event.pointerType === "mouse") {
+        mouseInputs.active = false;
+        mouseInputs.fire = false;
+    }
+}
+
+/** Playback controls for PHASE_REPLAY */
+const REPLAY_FAST_FORWARD_SPEED = 4;
+const replayControls = {
+    paused: false,
+    speed: 1, // how many times faster than real time
+};
+
+// function that progresses through attract and game over phases
+// plus attempts to start sound. Safe to call on any user input, really.
+function startGameAndSound() {
+    // check if context is in suspended state (autoplay policy)
+    if (audioCtx.state === 'suspended') {
+        audioCtx.resume();
+    }
+    if (!!gamestate) {
+        if (gamestate.phase === PHASE_LOADING) {
+            // only once everything that could be loaded is
+            if (assetProgress.done) {
+                setGamePhase(PHASE_ATTRACT);
+            }
+        } else if (gamestate.phase === PHASE_ATTRACT) {
+            setGamePhase(PHASE_RUNNING);
+        } else if (gamestate.phase === PHASE_GAME_OVER) {
+            setGamePhase(runQualifiesForLeaderboard() ? PHASE_INITIALS : PHASE_ATTRACT);
+        } else if (gamestate.phase === PHASE_PAUSED) {
+            resumeGame();
+        }
+    }
+}
+
+/**
+ * Handles a key press while entering initials. Besides the arcade-style
+ * controls, letters can simply be typed.
+ */
+function initialsKeyDown(code) {
+    const action = actionForCode(code);
+    if (typesInitial(code)) {
+        typeInitial(keyLabel(code));
+    } else if (code === "Backspace") {
+        moveInitialsCursor(-1);
+    } else if (code === "ArrowUp") {
+        changeInitial(1);
+    } else if (code === "ArrowDown") {
+        changeInitial(-1);
+    } else if (code === "ArrowLeft") {
+        moveInitialsCursor(-1);
+    } else if (code === "ArrowRight") {
+        moveInitialsCursor(1);
+    } else if (code === "Enter" || action === "fire") {
+        confirmInitial();
+    }
+}
+
+/**
+ * Whether a key types its letter or digit on the initials entry screen.
+ */
+function typesInitial(code) {
+    return code.startsWith("Key") || code.startsWith("Digit");
+}
+
+/**
+ * Handles the mute and volume keys.
+ * @returns whether code was one of them
+ */
+function soundKeyDown(code) {
+    switch (actionForCode(code)) {
+        case "mute":
+            toggleMute();
+            return true;
+        case "musicDown":
+            changeVolume("music", -VOLUME_STEP);
+            return true;
+        case "musicUp":
+            changeVolume("music", VOLUME_STEP);
+            return true;
+        case "sfxDown":
+            changeVolume("sfx", -VOLUME_STEP);
+            return true;
+        case "sfxUp":
+            changeVolume("sfx", VOLUME_STEP);
+            return true;
+    }
+    return false;
+}
+
+/* The pause menu */
+const PAUSE_MENU_ITEMS = ["RESUME", "RESTART", "QUIT TO TITLE"];
+const pauseMenu = {
+    selected: 0,
+};
+
+function pauseGame() {
+    pauseMenu.selected = 0;
+    setGamePhase(PHASE_PAUSED);
+}
+
+/**
+ * Handles a key press on the pause menu.
+ */
+function pauseMenuKeyDown(code) {
+    const action = actionForCode(code);
+    if (code === "ArrowUp" || action === "up") {
+        pauseMenu.selected = (pauseMenu.selected + PAUSE_MENU_ITEMS.length - 1) % PAUSE_MENU_ITEMS.length;
+    } else if (code === "ArrowDown" || action === "down") {
+        pauseMenu.selected = (pauseMenu.selected + 1) % PAUSE_MENU_ITEMS.length;
+    } else if (code === "Escape" || action === "pause") {
+        resumeGame();
+    } else if (code === "Enter" || action === "fire") {
+        switch (PAUSE_MENU_ITEMS[pauseMenu.selected]) {
+            case "RESUME":
+                resumeGame();
+                break;
+            case "RESTART":
+                if (gamestate.pausedPhase === PHASE_REPLAY) {
+                    startReplay(gamestate.replay);
+                } else {
+                    setGamePhase(PHASE_RUNNING);
+                }
+                break;
+            case "QUIT TO TITLE":
+                setGamePhase(PHASE_ATTRACT);
+                break;
+        }
+    }
+}
+
+/**
+ * Reads the first connected gamepad into gamepadInputs. Gamepads don't send
+ * events for buttons and sticks, so this has to be called every tick.
+ */
+function pollGamepad() {
+    let pad = null;
+    for (var p of navigator.getGamepads ? navigator.getGamepads() : []) {
+        if (p && p.connected) {
+            pad = p;
+            break;
+        }
+    }
+    if (!pad) {
+        Object.assign(gamepadInputs, {
+            left: false, right: false, down: false, up: false, fire: false, moveX: 0, moveY: 0, aimX: 0, aimY: 0,
+        });
+        gamepadStartHeld = false;
+        return;
+    }
+
+    let x = pad.axes[GAMEPAD_STICK_X] || 0;
+    let y = pad.axes[GAMEPAD_STICK_Y] || 0;
+    if (Math.hypot(x, y) < GAMEPAD_DEADZONE) {
+        x = 0;
+        y = 0;
+    }
+    gamepadInputs.moveX = x;
+    gamepadInputs.moveY = y;
+
+    let aimX = pad.axes[GAMEPAD_AIM_X] || 0;
+    let aimY = pad.axes[GAMEPAD_AIM_Y] || 0;
+    if (Math.hypot(aimX, aimY) < GAMEPAD_DEADZONE) {
+        aimX = 0;
+        aimY = 0;
+    }
+    gamepadInputs.aimX = aimX;
+    gamepadInputs.aimY = aimY;
+
+    const pressed = (button) => !!pad.buttons[button] && pad.buttons[button].pressed;
+    gamepadInputs.up = pressed(GAMEPAD_DPAD_UP);
+    gamepadInputs.down = pressed(GAMEPAD_DPAD_DOWN);
+    gamepadInputs.left = pressed(GAMEPAD_DPAD_LEFT);
+    gamepadInputs.right = pressed(GAMEPAD_DPAD_RIGHT);
+    gamepadInputs.fire = GAMEPAD_FIRE_BUTTONS.some(pressed);
+
+    let start = GAMEPAD_START_BUTTONS.some(pressed);
+    if (start && !gamepadStartHeld) {
+        startGameAndSound();
+    }
+    gamepadStartHeld = start;
+}
+
+/**
+ * The keyboard, gamepad and touch controls combined.
+ */
+function currentInputs() {
+    return {
+        left: keyboardInputs.left || gamepadInputs.left,
+        right: keyboardInputs.right || gamepadInputs.right,
+        down: keyboardInputs.down || gamepadInputs.down,
+        up: keyboardInputs.up || gamepadInputs.up,
+        fire: keyboardInputs.fire || gamepadInputs.fire || touchInputs.fire || mouseInputs.fire,
+        moveX: gamepadInputs.moveX + touchInputs.moveX,
+        moveY: gamepadInputs.moveY + touchInputs.moveY,
+        ...currentAim(),
+    };
+}
+
+/**
+ * Which way the player is aiming, as { aimX, aimY } (a unit vector, or 0, 0 when
+ * they aren't): the right stick if it's pushed, otherwise towards the mouse if
+ * it's in use (see MOUSE_AIM_MS).
+ */
+function currentAim() {
+    let x = gamepadInputs.aimX;
+    let y = gamepadInputs.aimY;
+    let player = gamestate.player;
+    let mouseAiming = mouseInputs.active &&
+        (mouseInputs.fire || Date.now() - mouseInputs.movedAt < MOUSE_AIM_MS);
+    if (x === 0 && y === 0 && mouseAiming && player) {
+        x = mouseInputs.x - (player.x + player.hitbox.x + player.hitbox.w / 2);
+        y = mouseInputs.y - (player.y + player.hitbox.y + player.hitbox.h / 2);
+    }
+    let length = Math.hypot(x, y);
+    if (length === 0) {
+        return { aimX: 0, aimY: 0 };
     }
+    return { aimX: x / length, aimY: y / length };
+}
+
+/**
+ * Offers the last run's replay file as a download.
+ */
+function downloadReplay(recording) {
+    let blob = new Blob([exportReplay(recording)], { type: "application/json" });
+    let link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "teapot-replay-" + recording.score + ".json";
+    link.click();
+    URL.revokeObjectURL(link.href);
 }
 
 /**
  * One-time setup on page load.
  */
 function game() {
+    audioCtx = new AudioContext();
+    setupMixer();
+    addObserver(audioObserver);
+
     // fill page now and after resize
     function stretchCanvas() {
         let canvas = document.getElementById("game");
@@ -907,243 +4707,238 @@ function game() {
     addEventListener("resize", stretchCanvas);
     stretchCanvas();
 
-    // function that progresses through attract and game over phases
-    // plus attempts to start sound. Safe to call on any user input, really.
-    const startGameAndSound = () => {
-        // check if context is in suspended state (autoplay policy)
-        if (audioCtx.state === 'suspended') {
-            audioCtx.resume();
-        }
-        if (!!gamestate) {
-            if (gamestate.phase === PHASE_ATTRACT) {
-                setGamePhase(PHASE_RUNNING);
-            } else if (gamestate.phase === PHASE_GAME_OVER) {
-                setGamePhase(PHASE_ATTRACT);
-            }
-        }
-    }
-
-    const KEY_SPACE = 32;
-    const KEY_ENTER = 13;
-    const KEY_RIGHTARROW = 39;
-    const KEY_LEFTARROW = 37;
-    const KEY_DOWNARROW = 40;
-    const KEY_UPARROW = 38;
-    const KEY_W = 87;
-    const KEY_A = 65;
-    const KEY_S = 83;
-    const KEY_D = 68;
-
     // key input handling
     document.addEventListener("keydown", event => {
-        const kc = event.keyCode;
-        if (kc === KEY_SPACE || kc == KEY_ENTER) {
-            startGameAndSound();
-        }
-        if (kc === KEY_RIGHTARROW || kc === KEY_D) {
-            gamestate.inputs.right = true;
-          } else if (kc === KEY_LEFTARROW || kc === KEY_A) {
-            gamestate.inputs.left = true;
-          } else if (kc === KEY_DOWNARROW || kc === KEY_S) {
-            gamestate.inputs.down = true;
-          } else if (kc === KEY_UPARROW || kc === KEY_W) {
-            gamestate.inputs.up = true;
-          } else if (kc === KEY_SPACE) {
-            gamestate.inputs.fire = true;
-          } else {
-            console.log("key", kc);
-          }
-    }, false);
-    document.addEventListener("keyup", event => {
-        const kc = event.keyCode;
-        if (kc === KEY_RIGHTARROW || kc === KEY_D) {
-            gamestate.inputs.right = false;
-        } else if (kc === KEY_LEFTARROW || kc === KEY_A) {
-            gamestate.inputs.left = false;
-        } else if (kc === KEY_DOWNARROW || kc === KEY_S) {
-            gamestate.inputs.down = false;
-        } else if (kc === KEY_UPARROW || kc === KEY_W) {
-            gamestate.inputs.up = false;
-        } else if (kc === KEY_SPACE) {
-            gamestate.inputs.fire = false;
+        const code = event.code;
+        // the sound keys work on every screen, unless the key is being typed in
+        let typing = (gamestate.phase === PHASE_SETTINGS && settingsMenu.rebinding) ||
+            (gamestate.phase === PHASE_INITIALS && typesInitial(code));
+        if (!typing && soundKeyDown(code)) {
+            return;
         }
-    }, false);
-
-    // attempt to get sound working on any click
-    document.getElementById("game").addEventListener('click', startGameAndSound, false);
-
-    // initialize sound (blocks game startup)
-    setupSamples().then(() => {
-        setGamePhase(PHASE_ATTRACT);
-        gameloop();
-    });
-}
-window.onload = game;
-let ready = false;
-
-function gameloop() {
-    if (!ready) {
-        ready = true;
-        for (var s of gamestate.sprites) {
-            ready &= s.ready;
+        if (gamestate.phase === PHASE_SETTINGS) {
+            settingsKeyDown(code);
+            return;
         }
-        if (!ready) {
-            // still loading. try again later.
-            setTimeout(gameloop, 100);
+        if (debugKeyDown(code)) {
             return;
         }
-    }
-
-    if (gamestate.phase === PHASE_ATTRACT) {
-        // start key/click is in input handler from one-time init function
-
-    } else if (gamestate.phase === PHASE_GAME_OVER) {
-        if (gamestate.gameOverMusicDelay-- === 0) {
-            setMusic("gameovermusic");
+        if (gamestate.phase === PHASE_PAUSED) {
+            pauseMenuKeyDown(code);
+            return;
         }
-
-    } else if (gamestate.phase === PHASE_RUNNING) {
-        // new lamb?
-        if (gamestate.lamb == null || gamestate.lamb.finished()) {
-            gamestate.lamb = new Lamb();
-            gamestate.sprites.push(gamestate.lamb);
+        if (gamestate.phase === PHASE_INITIALS) {
+            initialsKeyDown(code);
+            return;
         }
-
-        // new broccoli?
-        if (gamestate.nextBroccoli-- == 0) {
-            gamestate.nextBroccoli = gamestate.broccoliFrequency;
-            gamestate.sprites.push(new Broccoli());
+        const action = actionForCode(code);
+        if (!event.repeat && (code === "Enter" || action === "fire")) {
+            startGameAndSound();
         }
-
-        // new road lines?
-        if (gamestate.nextRoadLine-- == 0) {
-            gamestate.nextRoadLine = gamestate.roadLineFrequency;
-            ROAD_LINE_YS.forEach(y => gamestate.bgsprites.push(new RoadLine(y)));
+        if (action in keyboardInputs) {
+            keyboardInputs[action] = true;
+        } else if (action === "pause") {
+            if (gamestate.phase === PHASE_REPLAY) {
+                replayControls.paused = !replayControls.paused;
+            } else if (gamestate.phase === PHASE_RUNNING) {
+                pauseGame();
+            }
+        } else if (code === "KeyR" && gamestate.phase === PHASE_GAME_OVER && gamestate.recording) {
+            downloadReplay(gamestate.recording);
+        } else if (code === "KeyF" && gamestate.phase === PHASE_REPLAY) {
+            replayControls.speed = replayControls.speed === 1 ? REPLAY_FAST_FORWARD_SPEED : 1;
+        } else if (code === "Escape" && gamestate.phase === PHASE_ATTRACT) {
+            setGamePhase(PHASE_SETTINGS);
+        } else if (code === "Escape" && gamestate.phase === PHASE_REPLAY) {
+            setGamePhase(PHASE_ATTRACT);
+        } else if (code === "Escape" && gamestate.phase === PHASE_RUNNING) {
+            pauseGame();
+        } else {
+            console.log("key", code);
         }
-
-        // new sidewalk?
-        if (gamestate.nextSidewalk-- == 0) {
-            gamestate.nextSidewalk = gamestate.sidewalkFrequency;
-            gamestate.bgsprites.push(new Sidewalk());
+    }, false);
+    document.addEventListener("keyup", event => {
+        const action = actionForCode(event.code);
+        if (action in keyboardInputs) {
+            keyboardInputs[action] = false;
         }
+    }, false);
 
-        // new onions?
-        if (gamestate.score > gamestate.minOnionScore &&
-                gamestate.nextOnion-- == 0) {
-            gamestate.sprites.push(new Onion());
-            gamestate.nextOnion = gamestate.onionFrequency;
-            playSample("onionthrow");
+    // pause when the player looks away. Keys let go of meanwhile send us no keyup.
+    addEventListener("blur", () => {
+        releaseHeldInputs();
+        pauseGame();
+    });
+    document.addEventListener("visibilitychange", () => {
+        if (document.hidden) {
+            releaseHeldInputs();
+            pauseGame();
         }
+    });
 
-        // new knife?
-        if (gamestate.nextKnife-- == 0) {
-            gamestate.nextKnife = gamestate.knifeFrequency;
-            gamestate.sprites.push(new Knife(Knife.STATE_GROUNDED));
-        }
+    // attempt to get sound working on any click
+    document.getElementById("game").addEventListener('click', startGameAndSound, false);
 
-        gamestate.knifeThrowCooldown =
-            Math.max(gamestate.knifeThrowCooldown - 1, 0);
+    // touch controls
+    const canvas = document.getElementById("game");
+    canvas.addEventListener("pointerdown", touchDown, false);
+    canvas.addEventListener("pointermove", touchMove, false);
+    canvas.addEventListener("pointerup", touchUp, false);
+    canvas.addEventListener("pointercancel", touchUp, false);
+    // the mouse aims, and its button throws
+    canvas.addEventListener("pointermove", mouseMove, false);
+    canvas.addEventListener("pointerdown", mouseDown, false);
+    canvas.addEventListener("pointerup", mouseUp, false);
+    canvas.addEventListener("pointerleave", mouseLeave, false);
 
-        move(gamestate.bgsprites);
-        move(gamestate.sprites);
-        move(gamestate.fgsprites);
+    // dropping a replay file on the game plays it back; dropping a campaign plays that
+    document.addEventListener("dragover", event => event.preventDefault(), false);
+    document.addEventListener("drop", event => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (!file) {
+            return;
+        }
+        file.text().then(json => {
+            if (audioCtx.state === 'suspended') {
+                audioCtx.resume();
+            }
+            if (!("inputs" in JSON.parse(json))) {
+                // a campaign or level, for trying it out
+                setCampaign(parseCampaign(json));
+                setGamePhase(PHASE_RUNNING);
+                return;
+            }
+            replayControls.paused = false;
+            replayControls.speed = 1;
+            startReplay(parseReplay(json));
+        }).catch(e => console.log("Can't play", file.name, ":", e));
+    }, false);
 
-        interact(gamestate.sprites);
+    // ?campaign=URL plays the levels in that file instead of the endless game
+    const campaignUrl = new URLSearchParams(window.location.search).get("campaign");
+    if (campaignUrl) {
+        fetch(campaignUrl)
+            .then(response => response.text())
+            .then(json => setCampaign(parseCampaign(json)))
+            .catch(e => console.log("Can't load campaign", campaignUrl, ":", e));
     }
 
-    let ctx = prepareRender();
-    render(ctx, gamestate.bgsprites);
-    render(ctx, gamestate.sprites);
-    render(ctx, gamestate.fgsprites);
-    renderStatusBar(ctx, gamestate);
-    
-    setTimeout(gameloop, gamestate.frameDelay);
-}
-
-function move(sprites) {
-    // iterate backwards so we can remove sprites that are done
-    for (var i = sprites.length - 1; i >= 0; i--) {
-        let s = sprites[i];
-        s.move();
-        if (s.finished()) {
-            //console.log("Sprite at", i, " (", s.name, ") is finished");
-            sprites.splice(i, 1);
-        }
+    // ?leaderboard=URL sends scores to a leaderboard server
+    const leaderboardUrl = new URLSearchParams(window.location.search).get("leaderboard") || REMOTE_LEADERBOARD_URL;
+    if (leaderboardUrl) {
+        setRemoteLeaderboard(new HttpLeaderboard(leaderboardUrl));
+        window.addEventListener("online", flushScoreQueue, false);
+        setInterval(flushScoreQueue, SCORE_RETRY_MS);
     }
-}
 
-function interact(sprites) {
-    // iterate backwards so we can remove sprites that are done
-    for (var i = sprites.length - 1; i >= 0; i--) {
-        let s1 = sprites[i];
-        for (var s2 of sprites) {
-            s1.interact(s2);
+    // the loading screen shows until everything is in. if anything is
+    // missing, it stays up listing what until the player carries on anyway.
+    requestAnimationFrame(gameloop);
+    loadAssets().then(() => {
+        if (assetProgress.missing.length === 0) {
+            setGamePhase(PHASE_ATTRACT);
         }
-        if (s1.finished()) {
-            //console.log("Sprite at", i, " (", s1.name, ") is finished");
-            sprites.splice(i, 1);
-        }
-    }
+    });
 }
+if (typeof window !== "undefined") {
+    window.onload = game;
+}
+/* Longest stretch of time the game loop will catch up on in one go. Anything more
+   (e.g. the tab was in the background) is dropped, so the game just carries on. */
+const MAX_CATCH_UP_MS = 250;
 
-/** @type {CanvasRenderingContext2D} */
-function prepareRender() {
-    /** @type {HTMLCanvasElement} */
-    let c = document.getElementById("game");
-
-    /** @type {CanvasRenderingContext2D} */
-    let ctx = c.getContext("2d");
-
-    ctx.clearRect(0, 0, PLAYFIELD_WIDTH, PLAYFIELD_HEIGHT);
+/** Timestamp of the previous animation frame */
+let lastFrameTime = null;
 
-    // sort sprites by y coordinate so the perspective looks right
-    gamestate.sprites.sort((a, b) => a.y - b.y);
+/** Time that has passed but hasn't been simulated yet */
+let tickAccumulator = 0;
 
-    return ctx;    
-}
+/**
+ * Runs once per display frame (via requestAnimationFrame): simulates as many
+ * whole ticks as fit in the time since the last frame, then draws.
+ * 
+ * @param {DOMHighResTimeStamp} now
+ */
+function gameloop(now) {
+    requestAnimationFrame(gameloop);
 
-function render(
-    /** @type {CanvasRenderingContext2D} */ ctx,
-    /** @type {Sprite[]} */ sprites) {
-    for (var s of sprites) {
-        let image = s.nextFrame();
-        if (image == null) continue;
-        //console.log("rendering", s.name, "at", s.x, ",", s.y);
-        ctx.drawImage(image, s.x, s.y);
+    if (gamestate.phase === PHASE_LOADING) {
+        renderLoadingScreen();
+        return;
     }
-}
-
-// status bar "fonts"
-const numberSprite = new Sprite("ScoreDigits", "YellowScoreDigits.png", 16, { dummy: [[0, 1]]})
-const knifeSprite = new Sprite("Knife", "Knife.png", 32, { dummy: [[0, 1]]})
 
-function renderStatusBar(
-    /** @type {CanvasRenderingContext2D} */ ctx,
-    gamestate) {
+    if (lastFrameTime !== null && now > lastFrameTime) {
+        debugOverlay.fps += (1000 / (now - lastFrameTime) - debugOverlay.fps) * DEBUG_SMOOTHING;
+    }
+    let elapsed = lastFrameTime === null ? 0 : Math.min(now - lastFrameTime, MAX_CATCH_UP_MS);
+    lastFrameTime = now;
 
-    let y = 8;
-    if (numberSprite.ready) {
-        let score = "" + gamestate.score;
-        if (gamestate.phase === PHASE_ATTRACT) {
-            score = ":; " + hiScore; // ":;" maps to "HI" in our sprite
-        }
-        let x = PLAYFIELD_WIDTH - (numberSprite.w * (1 + score.length))
-        for (var i = 0; i < score.length; i++) {
-            let digit = score.charCodeAt(i) - 48; // 48 is ascii '0'
-            let image = numberSprite.frames[digit];
-            if (image) {
-                ctx.drawImage(image, x, y);
-            }
-            x += numberSprite.w;
-        }
+    // slowed down or frozen from the debug overlay
+    let speed = debugOverlay.frozen ? 0 : debugOverlay.speed;
+    if (gamestate.phase === PHASE_PAUSED) {
+        // nothing to simulate, but the gamepad can still unpause
+        pollGamepad();
+    } else if (gamestate.phase !== PHASE_REPLAY) {
+        tickAccumulator += elapsed * speed;
+    } else if (!replayControls.paused) {
+        tickAccumulator += elapsed * replayControls.speed * speed;
+    }
+    if (gamestate.phase !== PHASE_PAUSED) {
+        tickAccumulator += debugOverlay.steps * TICK_MS;
     }
+    debugOverlay.steps = 0;
 
-    if (knifeSprite.ready) {
-        let x = 16;
-        let image = knifeSprite.frames[0];
-        for (var i = 0; i < gamestate.knives; i++) {
-            ctx.drawImage(image, x, y);
-            x += 16;
-        }
+    while (tickAccumulator >= TICK_MS) {
+        pollGamepad();
+        let tickStart = performance.now();
+        tick(currentInputs());
+        debugOverlay.tickMs += (performance.now() - tickStart - debugOverlay.tickMs) * DEBUG_SMOOTHING;
+        tickAccumulator -= TICK_MS;
     }
-}
\ No newline at end of file
+
+    renderFrame(gamestate, tickAccumulator / TICK_MS);
+}
+
+// lets the simulation be driven headless from Node (tests, tools)
+if (typeof module !== "undefined") {
+    module.exports = {
+        PLAYFIELD_WIDTH,
+        PLAYFIELD_HEIGHT,
+        PHASE_LOADING,
+        PHASE_ATTRACT,
+        PHASE_RUNNING,
+        PHASE_GAME_OVER,
+        PHASE_REPLAY,
+        PHASE_SETTINGS,
+        PHASE_PAUSED,
+        PHASE_INITIALS,
+        TICKS_PER_SECOND,
+        INITIAL_GAMESTATE,
+        DIFFICULTY_CURVES,
+        Sprite,
+        Player,
+        Lamb,
+        Broccoli,
+        Onion,
+        Knife,
+        PowerUp,
+        Boss,
+        parseCampaign,
+        setCampaign,
+        interact,
+        addObserver,
+        removeObserver,
+        random,
+        setGamePhase,
+        resumeGame,
+        tick,
+        startReplay,
+        exportReplay,
+        parseReplay,
+        HttpLeaderboard,
+        setRemoteLeaderboard,
+        submitRun,
+        flushScoreQueue,
+    };
+}
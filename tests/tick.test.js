@@ -0,0 +1,486 @@
+// Behaviour tests for the headless game and its leaderboard client: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const game = require("../game.js");
+
+const EMPTY_LEVEL = { name: "EMPTY" };
+
+/**
+ * Starts a run of the given level or campaign (the endless game for null).
+ * @returns the new run's gamestate
+ */
+function startRun(level, seed = 1) {
+    game.setCampaign(level ? game.parseCampaign(level) : null);
+    return game.setGamePhase(game.PHASE_RUNNING, seed);
+}
+
+/**
+ * Puts a sprite in play with its hitbox centred on (cx, cy), standing still.
+ */
+function place(gs, sprite, cx, cy) {
+    sprite.x = cx - sprite.hitbox.x - sprite.hitbox.w / 2;
+    sprite.y = cy - sprite.hitbox.y - sprite.hitbox.h / 2;
+    sprite.setSpeed(0);
+    gs.sprites.push(sprite);
+    return sprite;
+}
+
+function playerCentre(gs) {
+    let p = gs.player;
+    return [p.x + p.hitbox.x + p.hitbox.w / 2, p.y + p.hitbox.y + p.hitbox.h / 2];
+}
+
+function ticks(n, inputs = {}) {
+    let gs;
+    for (let i = 0; i < n; i++) {
+        gs = game.tick(inputs);
+    }
+    return gs;
+}
+
+function count(gs, name) {
+    return gs.sprites.filter(s => s.name === name).length;
+}
+
+test.afterEach(() => {
+    game.setCampaign(null);
+});
+
+test.describe("collisions", () => {
+    test("a thrown knife kills the lamb in its way and scores it", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        let [px, py] = playerCentre(gs);
+        let lamb = place(gs, new game.Lamb(), px + 120, py);
+        gs.knifeThrowCooldown = 0;
+
+        game.tick({ fire: true });
+        assert.equal(gs.knives, 2);
+        assert.equal(count(gs, "Knife"), 1);
+
+        // until the knife gets there, and before it can bounce back at the teapot
+        for (let i = 0; i < 30 && !lamb.dead; i++) {
+            game.tick({});
+        }
+        assert.equal(lamb.dead, true);
+        assert.equal(gs.score, 1000);
+        assert.equal(gs.comboKills, 1);
+    });
+
+    test("running into a lamb with a knife in hand kills it", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        let [px, py] = playerCentre(gs);
+        let lamb = place(gs, new game.Lamb(), px, py);
+
+        game.tick({});
+        assert.equal(lamb.dead, true);
+        assert.equal(gs.knives, 2);
+        assert.equal(gs.score, 1000);
+    });
+
+    test("running into a lamb with no knives does nothing", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        gs.knives = 0;
+        let [px, py] = playerCentre(gs);
+        let lamb = place(gs, new game.Lamb(), px, py);
+
+        game.tick({});
+        assert.equal(lamb.dead, false);
+        assert.equal(gs.score, 0);
+        assert.equal(gs.teabags, 3);
+    });
+
+    test("broccoli costs a teabag and sends the teapot back to the start, clear of hazards", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        let startX = gs.player.x, startY = gs.player.y;
+        ticks(40, { moveX: 1, moveY: 1 });
+        assert.notEqual(gs.player.x, startX);
+
+        let [px, py] = playerCentre(gs);
+        let hit = place(gs, new game.Broccoli(), px, py);
+        let waiting = place(gs, new game.Broccoli(), startX + gs.player.w / 2 + 20, startY + gs.player.h / 2);
+        game.tick({});
+        assert.equal(gs.teabags, 2);
+        assert.equal(gs.player.x, startX);
+        assert.equal(gs.player.y, startY);
+        assert.ok(gs.player.invulnerable > 0);
+
+        game.tick({});
+        assert.equal(waiting.inPlay, false);
+        assert.equal(hit.inPlay, true);
+    });
+
+    test("the teapot can't be hurt again while it's blinking", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        let [px, py] = playerCentre(gs);
+        place(gs, new game.Broccoli(), px, py);
+        game.tick({});
+        assert.equal(gs.teabags, 2);
+
+        [px, py] = playerCentre(gs);
+        place(gs, new game.Broccoli(), px, py);
+        ticks(10);
+        assert.equal(gs.teabags, 2);
+    });
+
+    test("losing the last teabag ends the game", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        gs.teabags = 0;
+        let [px, py] = playerCentre(gs);
+        place(gs, new game.Onion(), px, py);
+        game.tick({});
+        assert.equal(gs.phase, game.PHASE_GAME_OVER);
+    });
+
+    test("the shield takes a hit instead of a teabag", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        gs.powerUps.shield = 100;
+        let [px, py] = playerCentre(gs);
+        place(gs, new game.Broccoli(), px, py);
+        game.tick({});
+        assert.equal(gs.teabags, 3);
+        assert.equal("shield" in gs.powerUps, false);
+    });
+});
+
+test.describe("spawning", () => {
+    test("a spawner spawns on its start tick and then every so often, up to its max", () => {
+        let gs = startRun({ spawners: [{ type: "broccoli", every: 10, start: 0, max: 3 }] });
+        game.tick({});
+        assert.equal(count(gs, "Broccoli"), 1);
+        ticks(11);
+        assert.equal(count(gs, "Broccoli"), 2);
+        ticks(100);
+        assert.equal(count(gs, "Broccoli"), 3);
+    });
+
+    test("waves spawn once, when they're due", () => {
+        let gs = startRun({ waves: [{ at: { seconds: 1 }, spawn: [{ type: "lamb", pattern: "wall" }] }] });
+        ticks(game.TICKS_PER_SECOND);
+        assert.equal(count(gs, "Lamb"), 0);
+        game.tick({});
+        let wall = count(gs, "Lamb");
+        assert.ok(wall > 1);
+        ticks(10);
+        assert.equal(count(gs, "Lamb"), wall);
+    });
+
+    test("a herd is as many lambs as it says, moving as one", () => {
+        let gs = startRun({ waves: [{ at: { seconds: 0 }, spawn: [{ type: "lamb", pattern: "herd", count: 7 }] }] });
+        game.tick({});
+        let herd = gs.sprites.filter(s => s.name === "Lamb");
+        assert.equal(herd.length, 7);
+        let gaps = herd.map(lamb => lamb.x - herd[0].x);
+        ticks(20);
+        assert.deepEqual(herd.map(lamb => lamb.x - herd[0].x), gaps);
+        assert.ok(herd.every(lamb => lamb.y >= 0 && lamb.y + lamb.h <= game.PLAYFIELD_HEIGHT));
+    });
+
+    test("levels are checked when they're loaded", () => {
+        assert.throws(() => game.parseCampaign({ levels: [] }), /no levels/);
+        assert.throws(() => game.parseCampaign({ spawners: [{ type: "dragon", every: 10 }] }), /can't spawn/);
+        assert.throws(() => game.parseCampaign({ spawners: [{ type: "lamb" }] }), /needs every or max/);
+        assert.throws(() => game.parseCampaign({ waves: [{ spawn: [] }] }), /waves need at/);
+        assert.throws(() => game.parseCampaign({ waves: [{ at: { seconds: 1 }, spawn: [{ type: "lamb", pattern: "herd", count: 18 }] }] }), /a herd is 1 to 17 lambs/);
+    });
+
+    test("a boss fight holds back lambs, broccoli and onions but not knives", () => {
+        let gs = startRun({
+            spawners: [
+                { type: "lamb", every: 5, start: 1 },
+                { type: "knife", every: 5, start: 0 },
+            ],
+            waves: [
+                { at: { seconds: 0 }, spawn: [{ type: "boss" }] },
+                { at: { seconds: 1 }, spawn: [{ type: "broccoli" }] },
+            ],
+        });
+        game.tick({});
+        assert.ok(gs.boss);
+        assert.equal(count(gs, "Lamb"), 0);
+
+        ticks(game.TICKS_PER_SECOND * 2);
+        assert.equal(count(gs, "Lamb"), 0);
+        assert.equal(count(gs, "Broccoli"), 0);
+        assert.ok(count(gs, "Knife") > 0);
+        assert.equal(gs.wavesFired[1], false);
+    });
+
+    test("the endless game's boss comes once the score passes nextBossScore", () => {
+        let gs = startRun(null);
+        gs.score = gs.nextBossScore;
+        game.tick({});
+        assert.equal(gs.boss, null);
+        gs.score++;
+        game.tick({});
+        assert.ok(gs.boss);
+    });
+});
+
+test.describe("scoring", () => {
+    test("picking up a grounded knife is worth a knife and 100 points", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        let [px, py] = playerCentre(gs);
+        place(gs, new game.Knife(game.Knife.STATE_GROUNDED), px, py);
+        game.tick({});
+        assert.equal(gs.knives, 4);
+        assert.equal(gs.score, 100);
+    });
+
+    test("kills in quick succession build up the multiplier", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        gs.knives = 10;
+        for (let i = 0; i < 3; i++) {
+            let [px, py] = playerCentre(gs);
+            place(gs, new game.Lamb(), px, py);
+            game.tick({});
+        }
+        // x1, then x1.5 (rounded down to 1), then x2
+        assert.equal(gs.comboKills, 3);
+        assert.equal(gs.multiplier, 2);
+        assert.equal(gs.score, 1000 + 1000 + 2000);
+    });
+
+    test("getting hurt breaks the combo", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        gs.multiplier = 3;
+        gs.comboKills = 4;
+        gs.comboTimer = 100;
+        let [px, py] = playerCentre(gs);
+        place(gs, new game.Broccoli(), px, py);
+        game.tick({});
+        assert.equal(gs.multiplier, 1);
+        assert.equal(gs.comboKills, 0);
+    });
+
+    test("every extraTeabagScore points is worth a teabag", () => {
+        let gs = startRun(EMPTY_LEVEL);
+        gs.score = 9500;
+        let [px, py] = playerCentre(gs);
+        place(gs, new game.Lamb(), px, py);
+        game.tick({});
+        assert.equal(gs.score, 10500);
+        assert.equal(gs.teabags, 4);
+        assert.equal(gs.nextExtraTeabag, 20000);
+    });
+});
+
+test.describe("replays", () => {
+    /**
+     * Plays the endless game with made-up inputs until it's over.
+     * @returns the finished run's gamestate
+     */
+    function playRun(seed) {
+        let gs = startRun(null, seed);
+        for (let i = 0; gs.phase === game.PHASE_RUNNING; i++) {
+            let turn = Math.floor(i / 60) % 4;
+            gs = game.tick({
+                moveX: turn === 0 ? 1 : turn === 2 ? -1 : 0,
+                moveY: turn === 1 ? 1 : turn === 3 ? -1 : 0,
+                fire: i % 25 === 0,
+            });
+        }
+        return gs;
+    }
+
+    test("the same seed and inputs play out the same", () => {
+        let first = playRun(42);
+        let second = playRun(42);
+        assert.equal(second.frame, first.frame);
+        assert.equal(second.score, first.score);
+    });
+
+    test("a run plays back the same from its replay file", () => {
+        let run = playRun(7);
+        let replay = game.parseReplay(game.exportReplay(run.recording));
+        let gs = game.startReplay(replay);
+        while (gs.frame < replay.frames) {
+            gs = game.tick({});
+        }
+        assert.equal(gs.score, replay.score);
+        assert.equal(gs.score, run.score);
+    });
+
+    test("replays from other versions are turned away", () => {
+        let run = playRun(3);
+        let json = JSON.parse(game.exportReplay(run.recording));
+        json.v--;
+        assert.throws(() => game.parseReplay(JSON.stringify(json)), /older version/);
+    });
+});
+
+test.describe("sound", () => {
+    /**
+     * Listens for the sounds the game starts and stops until the test is over.
+     */
+    function listenForSounds(t) {
+        let heard = { started: [], stopped: [] };
+        let observer = {
+            soundStarted: sound => heard.started.push(sound),
+            soundStopped: sound => heard.stopped.push(sound),
+        };
+        game.addObserver(observer);
+        t.after(() => game.removeObserver(observer));
+        return heard;
+    }
+
+    test("a dead lamb's bleat isn't cut off when the lamb comes back from the pool", t => {
+        let heard = listenForSounds(t);
+        let gs = startRun({ spawners: [{ type: "lamb", every: 1, start: 0, max: 1 }] });
+        game.tick({});
+        let lamb = gs.sprites.find(s => s.name === "Lamb");
+        lamb.die();
+        lamb.x = -100; // off the playfield, so into the pool it goes
+        ticks(2);
+        assert.ok(gs.sprites.includes(lamb), "the next lamb should be the same one reused");
+
+        let bleat = heard.started.find(sound => sound.name === "lambkill");
+        assert.ok(bleat);
+        assert.equal(heard.stopped.includes(bleat), false);
+    });
+
+    test("restarting from the pause menu stops the sounds of the run it ends", t => {
+        let heard = listenForSounds(t);
+        let gs = startRun(EMPTY_LEVEL);
+        gs.knifeThrowCooldown = 0;
+        game.tick({ fire: true });
+        game.setGamePhase(game.PHASE_PAUSED);
+        let beforeRestart = heard.started.slice();
+        assert.ok(beforeRestart.some(sound => sound.name === "throw"));
+
+        // what the pause menu's RESTART does
+        game.setGamePhase(game.PHASE_RUNNING);
+        ticks(300);
+        for (let sound of beforeRestart) {
+            assert.ok(heard.stopped.includes(sound), sound.name + " never stopped");
+        }
+    });
+});
+
+test.describe("remote leaderboard", () => {
+    /** Lets whatever the stubs have already settled run its course */
+    function settle() {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+
+    test.beforeEach(t => {
+        t.mock.method(console, "log", () => {});
+    });
+
+    test.afterEach(async () => {
+        // leave nothing queued for the next test
+        game.setRemoteLeaderboard({ submit: async () => {}, fetchTop: async () => [] });
+        await settle();
+        game.setRemoteLeaderboard(null);
+    });
+
+    test("a run that doesn't get there stays queued and goes with the next flush", async () => {
+        let attempts = [];
+        let offline = true;
+        game.setRemoteLeaderboard({
+            submit: async run => {
+                attempts.push(run.score);
+                if (offline) {
+                    throw new Error("offline");
+                }
+            },
+            fetchTop: async () => [],
+        });
+        game.submitRun({ score: 100 });
+        await settle();
+        assert.deepEqual(attempts, [100]);
+
+        offline = false;
+        await game.flushScoreQueue();
+        assert.deepEqual(attempts, [100, 100]);
+        await game.flushScoreQueue();
+        assert.deepEqual(attempts, [100, 100]);
+    });
+
+    test("only the latest runs are kept while the leaderboard can't be reached", async () => {
+        let attempts = [];
+        let offline = true;
+        game.setRemoteLeaderboard({
+            submit: async run => {
+                if (offline) {
+                    throw new Error("offline");
+                }
+                attempts.push(run.score);
+            },
+            fetchTop: async () => [],
+        });
+        for (let score = 1; score <= 12; score++) {
+            game.submitRun({ score: score });
+            await settle();
+        }
+        offline = false;
+        await game.flushScoreQueue();
+        assert.deepEqual(attempts, [3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+    });
+
+    test("a run the server refuses is dropped", async t => {
+        let posts = [];
+        t.mock.method(globalThis, "fetch", async (url, options) => {
+            if (options && options.method === "POST") {
+                posts.push(url);
+                return { ok: false, status: 400 };
+            }
+            return { ok: true, status: 200, json: async () => [] };
+        });
+        game.setRemoteLeaderboard(new game.HttpLeaderboard("https://scores.example/"));
+        game.submitRun({ score: 200 });
+        await settle();
+        assert.deepEqual(posts, ["https://scores.example/scores"]);
+
+        await game.flushScoreQueue();
+        assert.equal(posts.length, 1);
+    });
+
+    test("flushes at the same time don't send a run twice", async () => {
+        let attempts = [];
+        let arrive;
+        game.setRemoteLeaderboard({
+            submit: run => {
+                attempts.push(run.score);
+                return new Promise(resolve => arrive = resolve);
+            },
+            fetchTop: async () => [],
+        });
+        game.submitRun({ score: 300 });
+        let flushes = [game.flushScoreQueue(), game.flushScoreQueue()];
+        arrive();
+        await Promise.all(flushes);
+        await settle();
+        assert.deepEqual(attempts, [300]);
+    });
+
+    test("a full localStorage doesn't stop the initials being entered, or enter them twice", async t => {
+        globalThis.localStorage = {
+            getItem: () => null,
+            setItem: () => {
+                throw new Error("QuotaExceededError");
+            },
+        };
+        t.after(() => delete globalThis.localStorage);
+        let sent = [];
+        game.setRemoteLeaderboard({ submit: async run => sent.push(run), fetchTop: async () => [] });
+
+        let gs = startRun(EMPTY_LEVEL);
+        gs.score = 5000;
+        gs.teabags = 0;
+        let [px, py] = playerCentre(gs);
+        place(gs, new game.Onion(), px, py);
+        game.tick({});
+        game.setGamePhase(game.PHASE_INITIALS);
+        for (let i = 0; i < 3; i++) {
+            game.tick({});
+            game.tick({ fire: true });
+        }
+        assert.equal(gs.phase, game.PHASE_ATTRACT);
+
+        game.tick({});
+        game.tick({ fire: true });
+        await settle();
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].score, 5000);
+    });
+});